@@ -5,15 +5,383 @@
  * @see {@link https://github.com/mivanit/js-dev-toolkit}
  */
 
+// Unquoted CSV fields read as null (in any casing) unless `naValues` is
+// passed to from_csv
+const _CSV_NA_VALUES = ["", "null"];
+
+// Column types accepted by the `dtype` option of from_csv
+const _CSV_DTYPES = ["string", "number", "boolean", "date"];
+
+// Named aggregation for DataFrameGroupBy.agg and pivot, from STATS in stats.js
+function _namedAggregation(name) {
+	if (typeof STATS === "undefined") {
+		throw new Error(`Aggregation '${name}' requires stats.js`);
+	}
+	if (!Object.hasOwn(STATS, name)) {
+		throw new Error(
+			`Unknown aggregation '${name}'. Expected one of: ${Object.keys(STATS).join(", ")}`,
+		);
+	}
+	return STATS[name];
+}
+
+// Storage layouts accepted by the DataFrame constructor
+const _DATAFRAME_STORAGE = ["rows", "columnar"];
+
+// Encode column values for columnar storage. Numbers become an Int32Array
+// (if all are int32) or Float64Array, with a Uint8Array null mask only when
+// nulls are present; strings become Int32Array codes into a dictionary
+// (-1 for null); anything else stays a plain array.
+// Float64Array and Int32Array input is stored without copying.
+function _encodeColumn(values) {
+	if (values instanceof Float64Array) {
+		return { kind: "float64", values, nulls: null };
+	}
+	if (values instanceof Int32Array) {
+		return { kind: "int32", values, nulls: null };
+	}
+
+	const n = values.length;
+	let numbers = 0;
+	let strings = 0;
+	let other = false;
+	let ints = true;
+	for (let i = 0; i < n && !other; i++) {
+		const v = values[i];
+		if (typeof v === "number") {
+			numbers++;
+			ints = ints && (v | 0) === v && !Object.is(v, -0);
+		} else if (typeof v === "string") {
+			strings++;
+		} else if (v !== null && v !== undefined) {
+			other = true;
+		}
+	}
+
+	if (!other && numbers > 0 && strings === 0) {
+		const out = ints ? new Int32Array(n) : new Float64Array(n);
+		let nulls = null;
+		for (let i = 0; i < n; i++) {
+			const v = values[i];
+			if (v === null || v === undefined) {
+				if (!nulls) nulls = new Uint8Array(n);
+				nulls[i] = 1;
+			} else {
+				out[i] = v;
+			}
+		}
+		return { kind: ints ? "int32" : "float64", values: out, nulls };
+	}
+
+	if (!other && strings > 0 && numbers === 0) {
+		const dictionary = [];
+		const lookup = new Map();
+		const codes = new Int32Array(n);
+		for (let i = 0; i < n; i++) {
+			const v = values[i];
+			if (v === null || v === undefined) {
+				codes[i] = -1;
+				continue;
+			}
+			let code = lookup.get(v);
+			if (code === undefined) {
+				code = dictionary.length;
+				dictionary.push(v);
+				lookup.set(v, code);
+			}
+			codes[i] = code;
+		}
+		return { kind: "dict", values: codes, dictionary };
+	}
+
+	return {
+		kind: "array",
+		values: Array.from(values, (v) => (v === undefined ? null : v)),
+	};
+}
+
+// Read the value at row i of an encoded column
+function _columnValue(column, i) {
+	switch (column.kind) {
+		case "dict": {
+			const code = column.values[i];
+			return code < 0 ? null : column.dictionary[code];
+		}
+		case "array":
+			return column.values[i];
+		default:
+			return column.nulls && column.nulls[i] ? null : column.values[i];
+	}
+}
+
+// Select rows of an encoded column by index; dictionaries are shared
+function _takeColumn(column, indices) {
+	if (column.kind === "array") {
+		return { kind: "array", values: indices.map((i) => column.values[i]) };
+	}
+	const n = indices.length;
+	const values = new column.values.constructor(n);
+	for (let j = 0; j < n; j++) {
+		values[j] = column.values[indices[j]];
+	}
+	const taken = { ...column, values };
+	if (column.nulls) {
+		taken.nulls = new Uint8Array(n);
+		for (let j = 0; j < n; j++) {
+			taken.nulls[j] = column.nulls[indices[j]];
+		}
+	}
+	return taken;
+}
+
+// Accept an array, typed array or 1-D NDArray as column values
+function _columnArray(values, name) {
+	if (typeof NDArray !== "undefined" && values instanceof NDArray) {
+		if (values.ndim !== 1) {
+			throw new Error(
+				`Column '${name}' must be a 1-D NDArray, got shape [${values.shape}]`,
+			);
+		}
+		return values.data;
+	}
+	if (!Array.isArray(values) && !ArrayBuffer.isView(values)) {
+		throw new Error(
+			`Column '${name}' must be an array, typed array or NDArray`,
+		);
+	}
+	return values;
+}
+
+// Join types accepted by DataFrame.merge
+const _MERGE_HOW = ["inner", "left", "right", "outer"];
+
+// Map key for a single grouping value: objects such as Dates are compared
+// by their JSON encoding (as multi-column keys are), not by reference
+function _valueKey(value) {
+	return value !== null && typeof value === "object"
+		? JSON.stringify([value])
+		: value;
+}
+
+// Order values ascending with null/undefined last
+function _compareValues(a, b) {
+	const aNull = a === null || a === undefined;
+	const bNull = b === null || b === undefined;
+	if (aNull || bNull) return aNull - bNull;
+	if (typeof a === "string" && typeof b === "string") {
+		return a.localeCompare(b);
+	}
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Pick tab or comma from the first data line, counting outside quotes
+function _detectCSVDelimiter(text, comment) {
+	for (const line of text.split(/\r\n|\r|\n/)) {
+		if (line.trim() === "" || (comment && line.startsWith(comment))) {
+			continue;
+		}
+		let inQuotes = false;
+		let tabs = 0;
+		let commas = 0;
+		for (const ch of line) {
+			if (ch === '"') inQuotes = !inQuotes;
+			else if (!inQuotes && ch === "\t") tabs++;
+			else if (!inQuotes && ch === ",") commas++;
+		}
+		return tabs > commas ? "\t" : ",";
+	}
+	return ",";
+}
+
+// Split CSV text into records of `{value, quoted}` fields (RFC 4180).
+// Quoted fields may contain delimiters, `""` escapes and line breaks;
+// unquoted fields are trimmed. Blank lines and comment lines are dropped.
+function _parseCSVRecords(text, delimiter, comment) {
+	const records = [];
+	let record = [];
+	let field = "";
+	let quoted = false;
+	let inQuotes = false;
+	let atRecordStart = true;
+	let line = 1;
+	let quoteLine = 0;
+
+	const endField = () => {
+		record.push({ value: quoted ? field : field.trim(), quoted });
+		field = "";
+		quoted = false;
+	};
+	const endRecord = () => {
+		endField();
+		const blank =
+			record.length === 1 && !record[0].quoted && record[0].value === "";
+		if (!blank) records.push(record);
+		record = [];
+		atRecordStart = true;
+	};
+
+	let i = 0;
+	while (i < text.length) {
+		const ch = text[i];
+
+		if (inQuotes) {
+			if (ch === '"') {
+				if (text[i + 1] === '"') {
+					field += '"';
+					i += 2;
+				} else {
+					inQuotes = false;
+					i++;
+				}
+				continue;
+			}
+			if (ch === "\n") line++;
+			field += ch;
+			i++;
+			continue;
+		}
+
+		if (atRecordStart && comment && ch === comment) {
+			while (i < text.length && text[i] !== "\n" && text[i] !== "\r") i++;
+			if (text[i] === "\r" && text[i + 1] === "\n") i++;
+			i++;
+			line++;
+			continue;
+		}
+		atRecordStart = false;
+
+		if (ch === delimiter) {
+			endField();
+			i++;
+		} else if (ch === "\r" || ch === "\n") {
+			endRecord();
+			if (ch === "\r" && text[i + 1] === "\n") i++;
+			i++;
+			line++;
+		} else if (ch === '"' && !quoted && field.trim() === "") {
+			// Opening quote; whitespace before it is ignored
+			inQuotes = true;
+			quoted = true;
+			field = "";
+			quoteLine = line;
+			i++;
+		} else if (quoted) {
+			if (ch.trim() !== "") {
+				throw new Error(
+					`Unexpected character after closing quote on line ${line}`,
+				);
+			}
+			i++;
+		} else {
+			field += ch;
+			i++;
+		}
+	}
+
+	if (inQuotes) {
+		throw new Error(
+			`Unterminated quoted field starting on line ${quoteLine}`,
+		);
+	}
+	if (!atRecordStart) endRecord();
+	return records;
+}
+
+// Convert a parsed field to a cell value, honoring the column dtype;
+// naValues is a Set of lowercased null markers
+function _convertCSVValue({ value, quoted }, dtype, naValues, column) {
+	if (!quoted && naValues.has(value.toLowerCase())) return null;
+
+	const fail = () => {
+		throw new Error(
+			`Cannot parse "${value}" as ${dtype} in column "${column}"`,
+		);
+	};
+
+	switch (dtype) {
+		case undefined:
+			// Quoted fields stay strings; unquoted numeric text becomes a number
+			return quoted || value === "" || isNaN(value)
+				? value
+				: Number(value);
+		case "string":
+			return value;
+		case "number": {
+			const num = Number(value);
+			if (value.trim() === "" || (isNaN(num) && value.trim() !== "NaN")) {
+				fail();
+			}
+			return num;
+		}
+		case "boolean": {
+			const lower = value.trim().toLowerCase();
+			if (lower === "true" || lower === "1") return true;
+			if (lower === "false" || lower === "0") return false;
+			return fail();
+		}
+		case "date": {
+			const date = new Date(value);
+			if (value.trim() === "" || isNaN(date.getTime())) fail();
+			return date;
+		}
+	}
+}
+
+// Quote a CSV field if it would not otherwise survive parsing unchanged
+function _quoteCSVField(text, delimiter, force = false) {
+	if (
+		force ||
+		text.includes(delimiter) ||
+		/["\r\n]/.test(text) ||
+		text !== text.trim()
+	) {
+		return `"${text.replace(/"/g, '""')}"`;
+	}
+	return text;
+}
+
+// Serialize a cell value so that from_csv reads strings, numbers and nulls
+// back unchanged. Booleans and Dates (as ISO strings) need a dtype to read
+// back as their type, and objects (as JSON) always read back as strings.
+function _formatCSVValue(value, delimiter) {
+	if (value === null || value === undefined) return "";
+	if (value instanceof Date) return value.toISOString();
+	if (typeof value === "object") {
+		return _quoteCSVField(JSON.stringify(value), delimiter, true);
+	}
+	if (typeof value !== "string") return String(value);
+	// Strings that would read back as null or a number must be quoted
+	const ambiguous =
+		_CSV_NA_VALUES.includes(value.toLowerCase()) || !isNaN(value);
+	return _quoteCSVField(value, delimiter, ambiguous);
+}
+
 class DataFrame {
 	/**
 	 * Creates a DataFrame from a list of row objects
 	 *
+	 * With `storage: "columnar"`, values are kept per column instead of per
+	 * row: numeric columns as `Float64Array`/`Int32Array` and string columns
+	 * dictionary-encoded. See {@link DataFrame.from_columns} to build a
+	 * columnar DataFrame without creating row objects.
+	 *
 	 * @param {Array<Object>} data - Array of row objects
 	 * @param {Array<string>} [columns] - Optional column names (will be inferred from data if not provided)
+	 * @param {Object} [options={}] - Storage options
+	 * @param {string} [options.storage="rows"] - "rows" or "columnar"
+	 * @throws {Error} - If the storage is unknown
 	 */
-	constructor(data = [], columns = null) {
-		this.data = data;
+	constructor(data = [], columns = null, options = {}) {
+		const { storage = "rows" } = options;
+		if (!_DATAFRAME_STORAGE.includes(storage)) {
+			throw new Error(
+				`Unknown storage '${storage}'. Expected one of: ${_DATAFRAME_STORAGE.join(", ")}`,
+			);
+		}
+
+		this._rows = data;
+		this._store = null;
+		this._length = 0;
 
 		// Infer columns from data if not provided
 		if (!columns && data.length > 0) {
@@ -21,6 +389,183 @@ class DataFrame {
 		} else {
 			this.columns = columns || [];
 		}
+
+		if (storage === "columnar") {
+			const store = {};
+			for (const col of this.columns) {
+				store[col] = _encodeColumn(data.map((row) => row[col]));
+			}
+			this._setStore(store, data.length);
+		}
+	}
+
+	/**
+	 * Creates a DataFrame from an object of column arrays
+	 *
+	 * Values may be arrays, typed arrays or 1-D `NDArray`s (from array.js).
+	 * `Float64Array` and `Int32Array` values (including NDArray data) are
+	 * stored without copying.
+	 *
+	 * @param {Object<string, Array|TypedArray|NDArray>} columnData - Column name → values
+	 * @param {Object} [options={}] - Storage options
+	 * @param {string} [options.storage="columnar"] - "columnar" or "rows"
+	 * @returns {DataFrame} - New DataFrame instance
+	 * @throws {Error} - If columns differ in length or a value is not an array
+	 * @example
+	 * const df = DataFrame.from_columns({
+	 *   step: Int32Array.from({ length: n }, (_, i) => i),
+	 *   loss: lossNDArray,
+	 *   model: models,
+	 * });
+	 */
+	static from_columns(columnData, options = {}) {
+		const { storage = "columnar" } = options;
+		const columns = Object.keys(columnData);
+		const arrays = columns.map((col) => _columnArray(columnData[col], col));
+		const length = arrays.length > 0 ? arrays[0].length : 0;
+
+		const store = {};
+		columns.forEach((col, j) => {
+			if (arrays[j].length !== length) {
+				throw new Error(
+					`Column '${col}' has length ${arrays[j].length}, expected ${length}`,
+				);
+			}
+			store[col] = _encodeColumn(arrays[j]);
+		});
+
+		const df = new DataFrame([], columns, { storage });
+		df._setStore(store, length);
+		return storage === "rows" ? df.to_rows() : df;
+	}
+
+	/**
+	 * Storage layout of this DataFrame
+	 *
+	 * @returns {string} - "rows" or "columnar"
+	 */
+	get storage() {
+		return this._store === null ? "rows" : "columnar";
+	}
+
+	/**
+	 * Row objects of the DataFrame
+	 *
+	 * For columnar storage the rows are built on each read and changes to
+	 * them are not kept; use `to_rows()` for a DataFrame with editable rows.
+	 *
+	 * @returns {Array<Object>} - Array of row objects
+	 */
+	get data() {
+		return this._rowObjects();
+	}
+
+	/**
+	 * Replaces the rows of the DataFrame (switching to row storage)
+	 *
+	 * @param {Array<Object>} rows - Array of row objects
+	 */
+	set data(rows) {
+		this._rows = rows;
+		this._store = null;
+	}
+
+	/**
+	 * Switches to columnar storage
+	 *
+	 * @param {Object<string, Object>} store - Column name → encoded column
+	 * @param {number} length - Number of rows
+	 * @private
+	 */
+	_setStore(store, length) {
+		this._rows = null;
+		this._store = store;
+		this._length = length;
+	}
+
+	/**
+	 * Returns the row at an index, building a new object for columnar storage
+	 *
+	 * @param {number} i - Row index
+	 * @returns {Object} - Row object
+	 * @private
+	 */
+	_rowAt(i) {
+		if (this._store === null) {
+			return this._rows[i];
+		}
+		const row = {};
+		for (const col of this.columns) {
+			row[col] = _columnValue(this._store[col], i);
+		}
+		return row;
+	}
+
+	/**
+	 * Returns all rows without changing the storage layout
+	 *
+	 * @returns {Array<Object>} - The row array, or new row objects for columnar storage
+	 * @private
+	 */
+	_rowObjects() {
+		if (this._store === null) {
+			return this._rows;
+		}
+		const rows = new Array(this._length);
+		for (let i = 0; i < this._length; i++) {
+			rows[i] = this._rowAt(i);
+		}
+		return rows;
+	}
+
+	/**
+	 * Returns a new DataFrame with the rows at the given indices, keeping
+	 * the storage layout (row objects are shared for row storage)
+	 *
+	 * @param {Array<number>} indices - Row indices
+	 * @returns {DataFrame} - New DataFrame
+	 * @private
+	 */
+	_take(indices) {
+		if (this._store === null) {
+			return new DataFrame(
+				indices.map((i) => this._rows[i]),
+				[...this.columns],
+			);
+		}
+		const store = {};
+		for (const col of this.columns) {
+			store[col] = _takeColumn(this._store[col], indices);
+		}
+		const df = new DataFrame([], [...this.columns]);
+		df._setStore(store, indices.length);
+		return df;
+	}
+
+	/**
+	 * Returns a copy of this DataFrame using columnar storage
+	 *
+	 * @returns {DataFrame} - New columnar DataFrame
+	 */
+	to_columnar() {
+		if (this._store !== null) {
+			return this.clone();
+		}
+		return new DataFrame(this._rows, [...this.columns], {
+			storage: "columnar",
+		});
+	}
+
+	/**
+	 * Returns a copy of this DataFrame using row storage
+	 *
+	 * @returns {DataFrame} - New row-based DataFrame
+	 */
+	to_rows() {
+		if (this._store === null) {
+			return this.clone();
+		}
+		return new DataFrame(this._rowObjects(), [...this.columns]);
 	}
 
 	/**
@@ -36,7 +581,14 @@ class DataFrame {
 			);
 		}
 
-		return this.data.map((row) => row[name]);
+		if (this._store !== null) {
+			const column = this._store[name];
+			return Array.from({ length: this._length }, (_, i) =>
+				_columnValue(column, i),
+			);
+		}
+
+		return this._rows.map((row) => row[name]);
 	}
 
 	/**
@@ -47,9 +599,9 @@ class DataFrame {
 	 * @throws {Error} - If row index or column name is invalid
 	 */
 	get(row_idx, col_name) {
-		if (row_idx < 0 || row_idx >= this.data.length) {
+		if (row_idx < 0 || row_idx >= this.length) {
 			throw new Error(
-				`Row index ${row_idx} out of bounds (0 to ${this.data.length - 1})`,
+				`Row index ${row_idx} out of bounds (0 to ${this.length - 1})`,
 			);
 		}
 
@@ -59,7 +611,11 @@ class DataFrame {
 			);
 		}
 
-		return this.data[row_idx][col_name];
+		if (this._store !== null) {
+			return _columnValue(this._store[col_name], row_idx);
+		}
+
+		return this._rows[row_idx][col_name];
 	}
 
 	/**
@@ -69,13 +625,13 @@ class DataFrame {
 	 * @returns {Object} - Row as an object
 	 */
 	row(rowIdx) {
-		if (rowIdx < 0 || rowIdx >= this.data.length) {
+		if (rowIdx < 0 || rowIdx >= this.length) {
 			throw new Error(
-				`Row index ${rowIdx} out of bounds (0 to ${this.data.length - 1})`,
+				`Row index ${rowIdx} out of bounds (0 to ${this.length - 1})`,
 			);
 		}
 
-		return this.data[rowIdx];
+		return this._rowAt(rowIdx);
 	}
 
 	/**
@@ -99,96 +655,248 @@ class DataFrame {
 			);
 		}
 
-		for (let i = 0; i < this.data.length; i++) {
-			this.data[i][name] = fn(this.data[i][name], i);
+		if (this._store !== null) {
+			this._store[name] = _encodeColumn(this.col(name).map(fn));
+			return;
+		}
+
+		for (let i = 0; i < this._rows.length; i++) {
+			this._rows[i][name] = fn(this._rows[i][name], i);
+		}
+	}
+
+	/**
+	 * Returns a numeric column as a 1-D NDArray (requires array.js)
+	 *
+	 * Integer columns give an int32 array and other numeric columns a
+	 * float64 array; nulls become NaN (in a float64 array). For columnar
+	 * storage without nulls the NDArray shares memory with the DataFrame.
+	 *
+	 * @param {string} name - Column name
+	 * @returns {NDArray} - Column values
+	 * @throws {Error} - If array.js is not loaded or the column is not numeric
+	 * @example
+	 * df.to_columnar().col_ndarray('loss').mean()
+	 */
+	col_ndarray(name) {
+		if (typeof NDArray === "undefined") {
+			throw new Error("col_ndarray requires array.js");
+		}
+		if (!this.columns.includes(name)) {
+			throw new Error(
+				`Column '${name}' not found in columns: ${this.columns.join(", ")}`,
+			);
+		}
+
+		const column =
+			this._store !== null
+				? this._store[name]
+				: _encodeColumn(this.col(name));
+		if (column.kind !== "float64" && column.kind !== "int32") {
+			throw new Error(`Column '${name}' is not numeric`);
+		}
+		if (!column.nulls) {
+			return new NDArray(
+				column.values,
+				[column.values.length],
+				column.kind,
+			);
+		}
+		const data = Float64Array.from(column.values, (v, i) =>
+			column.nulls[i] ? NaN : v,
+		);
+		return new NDArray(data, [data.length], "float64");
+	}
+
+	/**
+	 * Sets a column from an array, typed array or 1-D NDArray
+	 *
+	 * Adds the column if it does not exist. With columnar storage,
+	 * `Float64Array` and `Int32Array` values are stored without copying.
+	 *
+	 * @param {string} name - Column name
+	 * @param {Array|TypedArray|NDArray} values - One value per row
+	 * @throws {Error} - If the length does not match the number of rows
+	 * @example
+	 * df.col_set('loss_norm', df.col_ndarray('loss').data.map((x) => x / max));
+	 */
+	col_set(name, values) {
+		values = _columnArray(values, name);
+
+		if (this.columns.length === 0) {
+			// An empty DataFrame takes its length from the first column
+			if (this._store !== null) {
+				this._length = values.length;
+			} else {
+				this._rows = Array.from({ length: values.length }, () => ({}));
+			}
+		} else if (values.length !== this.length) {
+			throw new Error(
+				`Column '${name}' has length ${values.length}, expected ${this.length}`,
+			);
+		}
+
+		if (this._store !== null) {
+			this._store[name] = _encodeColumn(values);
+		} else {
+			this._rows.forEach((row, i) => {
+				row[name] = values[i];
+			});
+		}
+
+		if (!this.columns.includes(name)) {
+			this.columns.push(name);
 		}
 	}
 
 	/**
 	 * Parses a CSV string into a DataFrame
 	 *
+	 * Follows RFC 4180: quoted fields may contain delimiters, escaped `""`
+	 * quotes and line breaks, and CRLF, CR or LF line endings are accepted.
+	 * Unquoted fields are trimmed and numeric text becomes a number; quoted
+	 * fields are always kept as strings unless a `dtype` is given.
+	 *
 	 * @param {string} text - CSV text content
+	 * @param {Object} [options={}] - Parsing options
+	 * @param {string} [options.delimiter="auto"] - Field delimiter; "auto" picks tab or comma from the first line
+	 * @param {boolean} [options.header=true] - Whether the first record holds column names; otherwise columns are named "0", "1", ...
+	 * @param {string} [options.comment] - Lines starting with this character are skipped
+	 * @param {number} [options.skipRows=0] - Number of lines to skip before parsing
+	 * @param {Array<string>} [options.naValues] - Unquoted values read as null, ignoring case (default "" and "null")
+	 * @param {Object<string, string>} [options.dtype] - Per-column type: "string", "number", "boolean" or "date"
 	 * @returns {DataFrame} - New DataFrame instance
+	 * @throws {Error} - If a quoted field is unterminated, an option is invalid, or a value does not match its dtype
+	 * @example
+	 * const df = DataFrame.from_csv(text, {
+	 *   comment: '#',
+	 *   naValues: ['', 'NA'],
+	 *   dtype: { id: 'string', date: 'date' },
+	 * });
 	 */
-	static from_csv(text) {
-		// Split text into lines and filter out empty lines
-		const lines = text.split("\n").filter((line) => line.trim().length > 0);
+	static from_csv(text, options = {}) {
+		const {
+			delimiter = "auto",
+			header = true,
+			comment = null,
+			skipRows = 0,
+			naValues = _CSV_NA_VALUES,
+			dtype = {},
+		} = options;
 
-		if (lines.length === 0) {
-			return new DataFrame();
+		if (
+			delimiter !== "auto" &&
+			(typeof delimiter !== "string" ||
+				delimiter.length !== 1 ||
+				/["\r\n]/.test(delimiter))
+		) {
+			throw new Error(
+				`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`,
+			);
+		}
+		if (
+			comment !== null &&
+			(typeof comment !== "string" || comment.length !== 1)
+		) {
+			throw new Error(
+				`Invalid CSV comment character: ${JSON.stringify(comment)}`,
+			);
+		}
+		for (const [col, type] of Object.entries(dtype)) {
+			if (!_CSV_DTYPES.includes(type)) {
+				throw new Error(`Unknown dtype "${type}" for column "${col}"`);
+			}
 		}
 
-		// First line is the header
-		const header = lines[0].split(",").map((col) => col.trim());
+		// Strip byte order mark
+		if (text.charCodeAt(0) === 0xfeff) {
+			text = text.slice(1);
+		}
 
-		// Parse each line into a row object
-		const data = [];
-		for (let i = 1; i < lines.length; i++) {
-			const values = lines[i].split(",").map((val) => val.trim());
+		for (let n = 0; n < skipRows; n++) {
+			const match = /\r\n|\r|\n/.exec(text);
+			text = match ? text.slice(match.index + match[0].length) : "";
+		}
 
-			// Create row object mapping column names to values
-			const row = {};
-			for (let j = 0; j < header.length; j++) {
-				// Try to convert to number if possible
-				const value = values[j];
-				if (value === undefined) continue;
-
-				// Handle quoted strings
-				if (value.startsWith('"') && value.endsWith('"')) {
-					row[header[j]] = value.slice(1, -1);
-				}
-				// Handle null values
-				else if (value === "" || value.toLowerCase() === "null") {
-					row[header[j]] = null;
-				}
-				// Try converting to number
-				else if (!isNaN(value)) {
-					row[header[j]] = Number(value);
-				}
-				// Otherwise keep as string
-				else {
-					row[header[j]] = value;
-				}
-			}
+		const sep =
+			delimiter === "auto"
+				? _detectCSVDelimiter(text, comment)
+				: delimiter;
+		const records = _parseCSVRecords(text, sep, comment);
+
+		if (records.length === 0) {
+			return new DataFrame();
+		}
+
+		let columns;
+		if (header) {
+			columns = records.shift().map((field) => field.value);
+		} else {
+			const width = records.reduce(
+				(max, record) => Math.max(max, record.length),
+				0,
+			);
+			columns = Array.from({ length: width }, (_, j) => String(j));
+		}
 
-			data.push(row);
+		for (const col of Object.keys(dtype)) {
+			if (!columns.includes(col)) {
+				throw new Error(`Unknown column in dtype: ${col}`);
+			}
 		}
 
-		return new DataFrame(data, header);
+		// Map each record to a row object; missing trailing fields become null
+		const na = new Set(naValues.map((value) => value.toLowerCase()));
+		const data = records.map((record) => {
+			const row = {};
+			columns.forEach((col, j) => {
+				row[col] =
+					record[j] === undefined
+						? null
+						: _convertCSVValue(record[j], dtype[col], na, col);
+			});
+			return row;
+		});
+
+		return new DataFrame(data, columns);
 	}
 
 	/**
 	 * Converts DataFrame to CSV string
 	 *
+	 * Fields are quoted when they contain the delimiter, quotes, line breaks
+	 * or surrounding whitespace, and strings that would otherwise read back
+	 * as null or a number are quoted too, so the output round-trips through
+	 * {@link DataFrame.from_csv}. Dates are written as ISO strings.
+	 *
+	 * @param {Object} [options={}] - Output options
+	 * @param {string} [options.delimiter=","] - Field delimiter
 	 * @returns {string} - CSV representation of the DataFrame
 	 */
-	to_csv() {
-		if (this.data.length === 0) {
-			return this.columns.join(",");
-		}
+	to_csv(options = {}) {
+		const { delimiter = "," } = options;
 
 		// Start with the header
-		const lines = [this.columns.join(",")];
+		const lines = [
+			this.columns
+				.map((col) => _quoteCSVField(String(col), delimiter))
+				.join(delimiter),
+		];
+
+		// With a single column, a null would be an empty line, which
+		// from_csv skips; write it as "null" so it reads back as null
+		const singleColumn = this.columns.length === 1;
 
 		// Add each row
-		for (const row of this.data) {
+		for (const row of this._rowObjects()) {
 			const values = this.columns.map((col) => {
-				const val = row[col];
-
-				if (val === null || val === undefined) {
-					return "";
-				} else if (
-					typeof val === "string" &&
-					(val.includes(",") || val.includes('"'))
-				) {
-					// Escape quotes and wrap in quotes
-					return `"${val.replace(/"/g, '""')}"`;
-				} else {
-					return String(val);
+				const value = row[col];
+				if (singleColumn && (value === null || value === undefined)) {
+					return "null";
 				}
+				return _formatCSVValue(value, delimiter);
 			});
-
-			lines.push(values.join(","));
+			lines.push(values.join(delimiter));
 		}
 
 		return lines.join("\n");
@@ -222,7 +930,9 @@ class DataFrame {
 	 * @returns {string} - JSONL representation of the DataFrame
 	 */
 	to_jsonl() {
-		return this.data.map((row) => JSON.stringify(row)).join("\n");
+		return this._rowObjects()
+			.map((row) => JSON.stringify(row))
+			.join("\n");
 	}
 
 	/**
@@ -231,7 +941,7 @@ class DataFrame {
 	 * @returns {number} - Number of rows
 	 */
 	get length() {
-		return this.data.length;
+		return this._store !== null ? this._length : this._rows.length;
 	}
 
 	/**
@@ -240,11 +950,11 @@ class DataFrame {
 	 * @returns {string} - String representation
 	 */
 	toString() {
-		if (this.data.length === 0) {
+		if (this.length === 0) {
 			return "Empty DataFrame";
 		}
 
-		return `DataFrame with ${this.data.length} rows and ${this.columns.length} columns: ${this.columns.join(", ")}`;
+		return `DataFrame with ${this.length} rows and ${this.columns.length} columns: ${this.columns.join(", ")}`;
 	}
 
 	/**
@@ -253,8 +963,14 @@ class DataFrame {
 	 * @returns {DataFrame} - New DataFrame with copied data
 	 */
 	clone() {
+		if (this._store !== null) {
+			return this._take(
+				Array.from({ length: this._length }, (_, i) => i),
+			);
+		}
+
 		// Deep copy the data array and each row object
-		const clonedData = this.data.map((row) => ({ ...row }));
+		const clonedData = this._rows.map((row) => ({ ...row }));
 		// Copy the columns array
 		const clonedColumns = [...this.columns];
 		return new DataFrame(clonedData, clonedColumns);
@@ -269,7 +985,15 @@ class DataFrame {
 	 * df.filter(row => row.age > 18)
 	 */
 	filter(predicate) {
-		const filteredData = this.data.filter(predicate);
+		if (this._store !== null) {
+			const indices = [];
+			for (let i = 0; i < this._length; i++) {
+				if (predicate(this._rowAt(i), i)) indices.push(i);
+			}
+			return this._take(indices);
+		}
+
+		const filteredData = this._rows.filter(predicate);
 		return new DataFrame(filteredData, [...this.columns]);
 	}
 
@@ -293,16 +1017,28 @@ class DataFrame {
 			);
 		}
 
+		if (this._store !== null) {
+			const match =
+				typeof valueOrPredicate === "function"
+					? valueOrPredicate
+					: (value) => value === valueOrPredicate;
+			const indices = [];
+			this.col(column).forEach((value, i) => {
+				if (match(value)) indices.push(i);
+			});
+			return this._take(indices);
+		}
+
 		// If valueOrPredicate is a function, use it as a predicate on the column value
 		if (typeof valueOrPredicate === "function") {
-			const filteredData = this.data.filter((row) =>
+			const filteredData = this._rows.filter((row) =>
 				valueOrPredicate(row[column]),
 			);
 			return new DataFrame(filteredData, [...this.columns]);
 		}
 		// Otherwise, filter by exact value match
 		else {
-			const filteredData = this.data.filter(
+			const filteredData = this._rows.filter(
 				(row) => row[column] === valueOrPredicate,
 			);
 			return new DataFrame(filteredData, [...this.columns]);
@@ -329,14 +1065,8 @@ class DataFrame {
 			);
 		}
 
-		// Create a copy of the data array
-		const sortedData = [...this.data];
-
-		// Sort with null handling (nulls at the end)
-		sortedData.sort((a, b) => {
-			const aVal = a[column];
-			const bVal = b[column];
-
+		// Compare with null handling (nulls at the end)
+		const compare = (aVal, bVal) => {
 			// Handle null/undefined values - place at end
 			if (aVal === null || aVal === undefined) {
 				return 1;
@@ -355,7 +1085,18 @@ class DataFrame {
 
 			// Apply ascending/descending
 			return ascending ? comparison : -comparison;
-		});
+		};
+
+		if (this._store !== null) {
+			const values = this.col(column);
+			const order = Array.from({ length: this._length }, (_, i) => i);
+			order.sort((a, b) => compare(values[a], values[b]));
+			return this._take(order);
+		}
+
+		// Create a copy of the data array
+		const sortedData = [...this._rows];
+		sortedData.sort((a, b) => compare(a[column], b[column]));
 
 		return new DataFrame(sortedData, [...this.columns]);
 	}
@@ -373,12 +1114,530 @@ class DataFrame {
 	 * })
 	 */
 	sortBy(compareFn) {
+		if (this._store !== null) {
+			const rows = this._rowObjects();
+			const order = rows.map((_, i) => i);
+			order.sort((a, b) => compareFn(rows[a], rows[b]));
+			return this._take(order);
+		}
+
 		// Create a copy of the data array
-		const sortedData = [...this.data];
+		const sortedData = [...this._rows];
 		sortedData.sort(compareFn);
 		return new DataFrame(sortedData, [...this.columns]);
 	}
 
+	/**
+	 * Groups rows by the values of one or more columns
+	 *
+	 * Groups are ordered by key (nulls last) unless `sort` is false, in which
+	 * case they keep the order in which each key first appears. Rows with
+	 * null keys form their own group.
+	 *
+	 * @param {string|Array<string>} by - Column name or names to group by
+	 * @param {Object} [options={}] - Grouping options
+	 * @param {boolean} [options.sort=true] - Whether to sort groups by key
+	 * @returns {DataFrameGroupBy} - Grouped view of this DataFrame
+	 * @throws {Error} - If a column is not found
+	 * @example
+	 * df.groupby(['model', 'split']).agg({ loss: ['mean', 'std'], acc: 'max' })
+	 * // columns: model, split, loss_mean, loss_std, acc
+	 *
+	 * for (const [[model, split], sub] of df.groupby(['model', 'split'])) {
+	 *   console.log(model, split, sub.length);
+	 * }
+	 */
+	groupby(by, options = {}) {
+		return new DataFrameGroupBy(this, by, options);
+	}
+
+	/**
+	 * Joins this DataFrame with another on key columns (hash join)
+	 *
+	 * Key columns named the same on both sides appear once in the result;
+	 * other columns present on both sides get `suffixes`. Rows whose key
+	 * contains null or undefined never match, but are still kept as
+	 * unmatched rows by left, right and outer joins. Rows keep the order of
+	 * the left DataFrame (right for `how: 'right'`), with an outer join
+	 * appending unmatched right rows at the end.
+	 *
+	 * @param {DataFrame} other - Right-hand DataFrame
+	 * @param {Object} [options={}] - Join options
+	 * @param {string|Array<string>} [options.on] - Key column(s) present in both DataFrames (default: all shared columns)
+	 * @param {string|Array<string>} [options.left_on] - Key column(s) in this DataFrame
+	 * @param {string|Array<string>} [options.right_on] - Key column(s) in `other`
+	 * @param {string} [options.how="inner"] - "inner", "left", "right" or "outer"
+	 * @param {Array<string>} [options.suffixes=["_x", "_y"]] - Suffixes for overlapping non-key columns
+	 * @returns {DataFrame} - Joined DataFrame
+	 * @throws {Error} - If the join type is unknown or key columns are missing or mismatched
+	 * @example
+	 * results.merge(models, { on: 'model', how: 'left' })
+	 * results.merge(models, { left_on: 'model', right_on: 'name', suffixes: ['', '_meta'] })
+	 */
+	merge(other, options = {}) {
+		const {
+			on = null,
+			left_on = null,
+			right_on = null,
+			how = "inner",
+			suffixes = ["_x", "_y"],
+		} = options;
+
+		if (!_MERGE_HOW.includes(how)) {
+			throw new Error(
+				`Unknown join type '${how}'. Expected one of: ${_MERGE_HOW.join(", ")}`,
+			);
+		}
+		if (!Array.isArray(suffixes) || suffixes.length !== 2) {
+			throw new Error("suffixes must be an array of two strings");
+		}
+
+		// Resolve key columns on each side
+		const toList = (cols) => (Array.isArray(cols) ? [...cols] : [cols]);
+		let leftKeys;
+		let rightKeys;
+		if (on !== null) {
+			if (left_on !== null || right_on !== null) {
+				throw new Error("Pass either on or left_on/right_on, not both");
+			}
+			leftKeys = toList(on);
+			rightKeys = toList(on);
+		} else if (left_on !== null || right_on !== null) {
+			if (left_on === null || right_on === null) {
+				throw new Error("left_on and right_on must be passed together");
+			}
+			leftKeys = toList(left_on);
+			rightKeys = toList(right_on);
+		} else {
+			leftKeys = this.columns.filter((col) =>
+				other.columns.includes(col),
+			);
+			rightKeys = [...leftKeys];
+		}
+
+		if (leftKeys.length === 0) {
+			throw new Error("merge requires at least one key column");
+		}
+		if (leftKeys.length !== rightKeys.length) {
+			throw new Error("left_on and right_on must have the same length");
+		}
+		for (const [df, keys] of [
+			[this, leftKeys],
+			[other, rightKeys],
+		]) {
+			for (const col of keys) {
+				if (!df.columns.includes(col)) {
+					throw new Error(
+						`Column '${col}' not found in columns: ${df.columns.join(", ")}`,
+					);
+				}
+			}
+		}
+
+		// Key pairs with the same name on both sides share one output column
+		const shared = new Set(
+			leftKeys.filter((col, i) => rightKeys[i] === col),
+		);
+		const rightColumns = other.columns.filter((col) => !shared.has(col));
+
+		// Overlapping non-shared names get suffixes
+		const leftNames = new Map();
+		for (const col of this.columns) {
+			const clash = !shared.has(col) && rightColumns.includes(col);
+			leftNames.set(col, clash ? col + suffixes[0] : col);
+		}
+		const rightNames = new Map();
+		for (const col of rightColumns) {
+			rightNames.set(
+				col,
+				this.columns.includes(col) ? col + suffixes[1] : col,
+			);
+		}
+		const columns = [...leftNames.values(), ...rightNames.values()];
+		if (new Set(columns).size !== columns.length) {
+			throw new Error(
+				`merge produced duplicate column names: ${columns.join(", ")}`,
+			);
+		}
+
+		// Returns null for keys containing null, which never match
+		const keyOf = (row, keys) => {
+			const values = keys.map((col) => row[col]);
+			if (values.some((v) => v === null || v === undefined)) return null;
+			return JSON.stringify(values);
+		};
+
+		const combine = (left, right) => {
+			const row = {};
+			for (const [col, name] of leftNames) {
+				row[name] =
+					left === null
+						? shared.has(col)
+							? right[col]
+							: null
+						: left[col];
+			}
+			for (const [col, name] of rightNames) {
+				row[name] = right === null ? null : right[col];
+			}
+			return row;
+		};
+
+		const leftRows = this._rowObjects();
+		const rightRows = other._rowObjects();
+		const data = [];
+		if (how === "right") {
+			// Index the left side and walk the right rows in order
+			const index = new Map();
+			for (const row of leftRows) {
+				const key = keyOf(row, leftKeys);
+				if (key === null) continue;
+				if (!index.has(key)) index.set(key, []);
+				index.get(key).push(row);
+			}
+			for (const right of rightRows) {
+				const key = keyOf(right, rightKeys);
+				const matches = key === null ? undefined : index.get(key);
+				if (matches) {
+					matches.forEach((left) => data.push(combine(left, right)));
+				} else {
+					data.push(combine(null, right));
+				}
+			}
+		} else {
+			const index = new Map();
+			for (const row of rightRows) {
+				const key = keyOf(row, rightKeys);
+				if (key === null) continue;
+				if (!index.has(key)) index.set(key, []);
+				index.get(key).push(row);
+			}
+			const matchedRight = new Set();
+			for (const left of leftRows) {
+				const key = keyOf(left, leftKeys);
+				const matches = key === null ? undefined : index.get(key);
+				if (matches) {
+					for (const right of matches) {
+						matchedRight.add(right);
+						data.push(combine(left, right));
+					}
+				} else if (how !== "inner") {
+					data.push(combine(left, null));
+				}
+			}
+			if (how === "outer") {
+				for (const right of rightRows) {
+					if (!matchedRight.has(right)) {
+						data.push(combine(null, right));
+					}
+				}
+			}
+		}
+
+		return new DataFrame(data, columns);
+	}
+
+	/**
+	 * Concatenates DataFrames
+	 *
+	 * With `axis: 0`, rows are stacked and columns are the union of all
+	 * columns in order of first appearance (as in {@link DataFrame.from_jsonl}),
+	 * with missing values set to null. With `axis: 1`, columns are placed
+	 * side by side, rows are aligned by position, and shorter DataFrames are
+	 * padded with null.
+	 *
+	 * @param {Array<DataFrame>} dfs - DataFrames to concatenate
+	 * @param {Object} [options={}] - Concatenation options
+	 * @param {number} [options.axis=0] - 0 to stack rows, 1 to stack columns
+	 * @returns {DataFrame} - New DataFrame with copied rows
+	 * @throws {Error} - If axis is invalid, or column names repeat with axis 1
+	 * @example
+	 * DataFrame.concat([runsA, runsB]);
+	 * DataFrame.concat([inputs, predictions], { axis: 1 });
+	 */
+	static concat(dfs, options = {}) {
+		const { axis = 0 } = options;
+		if (axis !== 0 && axis !== 1) {
+			throw new Error(`Invalid axis: ${axis}. Expected 0 or 1`);
+		}
+
+		const columns = [];
+		for (const df of dfs) {
+			for (const col of df.columns) {
+				if (!columns.includes(col)) {
+					columns.push(col);
+				} else if (axis === 1) {
+					throw new Error(
+						`Duplicate column '${col}' in concat with axis 1`,
+					);
+				}
+			}
+		}
+
+		const rowLists = dfs.map((df) => df._rowObjects());
+		const data = [];
+		if (axis === 0) {
+			for (const rows of rowLists) {
+				for (const row of rows) {
+					const copy = {};
+					for (const col of columns) {
+						copy[col] = row[col] ?? null;
+					}
+					data.push(copy);
+				}
+			}
+		} else {
+			const length = Math.max(0, ...dfs.map((df) => df.length));
+			for (let i = 0; i < length; i++) {
+				const row = {};
+				dfs.forEach((df, d) => {
+					for (const col of df.columns) {
+						row[col] =
+							i < df.length
+								? (rowLists[d][i][col] ?? null)
+								: null;
+					}
+				});
+				data.push(row);
+			}
+		}
+
+		return new DataFrame(data, columns);
+	}
+
+	/**
+	 * Reshapes long data to wide form: one row per `index` key and one
+	 * column per distinct value of `columns`
+	 *
+	 * Rows are ordered by index key and pivoted columns by value (nulls
+	 * last, as in {@link DataFrame#groupby}); pivoted column names are the
+	 * values converted to strings. Input rows whose `columns` value is null
+	 * are dropped, so an index key with only such rows gets no output row.
+	 * Cells with no matching rows are null. Without `aggfunc`, each
+	 * index/column pair must appear at most once.
+	 *
+	 * @param {Object} options - Pivot options
+	 * @param {string|Array<string>} options.index - Column(s) identifying output rows
+	 * @param {string} options.columns - Column whose values become output columns
+	 * @param {string} options.values - Column holding the cell values
+	 * @param {string|Function} [options.aggfunc] - Aggregation for repeated pairs (a {@link DataFrameGroupBy#agg} name, or a function of the non-null values)
+	 * @returns {DataFrame} - Wide DataFrame with the index columns first
+	 * @throws {Error} - If an option is missing, a column or aggregation is unknown, or a pair repeats without aggfunc
+	 * @example
+	 * // model × dataset heatmap of mean accuracy
+	 * df.pivot({ index: 'model', columns: 'dataset', values: 'acc', aggfunc: 'mean' })
+	 */
+	pivot(options = {}) {
+		const { index, columns, values, aggfunc = null } = options;
+		if (
+			index === undefined ||
+			columns === undefined ||
+			values === undefined
+		) {
+			throw new Error("pivot requires index, columns and values");
+		}
+		if (!this.columns.includes(values)) {
+			throw new Error(
+				`Column '${values}' not found in columns: ${this.columns.join(", ")}`,
+			);
+		}
+
+		let reduce = null;
+		if (typeof aggfunc === "function") {
+			reduce = aggfunc;
+		} else if (aggfunc !== null) {
+			reduce = _namedAggregation(aggfunc);
+		}
+
+		const indexCols = Array.isArray(index) ? [...index] : [index];
+		const grouped = this.groupby([...indexCols, columns]);
+		const valueColumn = this.col(values);
+
+		// Groups come sorted by index key, then by column value
+		const names = new Map();
+		const rows = new Map();
+		for (const group of grouped.groups) {
+			const key = group.values.slice(0, indexCols.length);
+			const raw = group.values[indexCols.length];
+			if (raw === null) continue;
+
+			const rowId = JSON.stringify(key);
+			if (!rows.has(rowId)) {
+				rows.set(rowId, { key, cells: new Map() });
+			}
+			const name = String(raw);
+			const cells = rows.get(rowId).cells;
+
+			if (reduce) {
+				cells.set(
+					name,
+					reduce(
+						group.indices
+							.map((i) => valueColumn[i])
+							.filter((v) => v !== null && v !== undefined),
+					),
+				);
+			} else if (group.indices.length > 1 || cells.has(name)) {
+				throw new Error(
+					`Duplicate entries for index ${rowId} and column '${name}'; pass aggfunc to combine them`,
+				);
+			} else {
+				cells.set(name, valueColumn[group.indices[0]] ?? null);
+			}
+			if (!names.has(name)) names.set(name, raw);
+		}
+
+		const pivoted = Array.from(names.entries())
+			.sort((a, b) => _compareValues(a[1], b[1]))
+			.map(([name]) => name);
+		for (const name of pivoted) {
+			if (indexCols.includes(name)) {
+				throw new Error(
+					`Pivoted column '${name}' clashes with an index column`,
+				);
+			}
+		}
+
+		const data = Array.from(rows.values(), ({ key, cells }) => {
+			const row = {};
+			indexCols.forEach((col, i) => {
+				row[col] = key[i];
+			});
+			for (const name of pivoted) {
+				row[name] = cells.has(name) ? cells.get(name) : null;
+			}
+			return row;
+		});
+
+		return new DataFrame(data, [...indexCols, ...pivoted]);
+	}
+
+	/**
+	 * Reshapes wide data to long form: one row per input row and value column
+	 *
+	 * Output rows are grouped by value column (in `value_vars` order), each
+	 * listing the input rows in order. Missing values are null.
+	 *
+	 * @param {Object} [options={}] - Melt options
+	 * @param {string|Array<string>} [options.id_vars=[]] - Columns copied to every output row
+	 * @param {string|Array<string>} [options.value_vars] - Columns to unpivot (default: all other columns)
+	 * @param {string} [options.var_name="variable"] - Name of the column holding the source column name
+	 * @param {string} [options.value_name="value"] - Name of the column holding the value
+	 * @returns {DataFrame} - Long DataFrame with columns [...id_vars, var_name, value_name]
+	 * @throws {Error} - If a column is not found or output names clash
+	 * @example
+	 * wide.melt({ id_vars: 'model', var_name: 'dataset', value_name: 'acc' })
+	 */
+	melt(options = {}) {
+		const {
+			id_vars = [],
+			value_vars = null,
+			var_name = "variable",
+			value_name = "value",
+		} = options;
+
+		const toList = (cols) => (Array.isArray(cols) ? [...cols] : [cols]);
+		const idCols = toList(id_vars);
+		const valueCols =
+			value_vars === null
+				? this.columns.filter((col) => !idCols.includes(col))
+				: toList(value_vars);
+
+		for (const col of [...idCols, ...valueCols]) {
+			if (!this.columns.includes(col)) {
+				throw new Error(
+					`Column '${col}' not found in columns: ${this.columns.join(", ")}`,
+				);
+			}
+		}
+		const columns = [...idCols, var_name, value_name];
+		if (new Set(columns).size !== columns.length) {
+			throw new Error(
+				`melt produced duplicate column names: ${columns.join(", ")}`,
+			);
+		}
+
+		const rows = this._rowObjects();
+		const data = [];
+		for (const col of valueCols) {
+			for (const row of rows) {
+				const out = {};
+				for (const id of idCols) {
+					out[id] = row[id] ?? null;
+				}
+				out[var_name] = col;
+				out[value_name] = row[col] ?? null;
+				data.push(out);
+			}
+		}
+
+		return new DataFrame(data, columns);
+	}
+
+	/**
+	 * Counts co-occurrences of two sequences of values
+	 *
+	 * Rows are the distinct values of `a` and columns the distinct values of
+	 * `b` (as strings), both sorted; pairs containing null are skipped.
+	 *
+	 * @param {Array|TypedArray|NDArray} a - Row values
+	 * @param {Array|TypedArray|NDArray} b - Column values, same length as `a`
+	 * @param {Object} [options={}] - Crosstab options
+	 * @param {string} [options.index="index"] - Name of the column holding the `a` values
+	 * @returns {DataFrame} - Count table with the index column first
+	 * @throws {Error} - If the inputs differ in length or names clash
+	 * @example
+	 * DataFrame.crosstab(df.col('model'), df.col('dataset'))
+	 */
+	static crosstab(a, b, options = {}) {
+		const { index = "index" } = options;
+		a = _columnArray(a, "a");
+		b = _columnArray(b, "b");
+		if (a.length !== b.length) {
+			throw new Error(
+				`crosstab inputs differ in length: ${a.length} and ${b.length}`,
+			);
+		}
+
+		const counts = new Map();
+		const names = new Map();
+		for (let i = 0; i < a.length; i++) {
+			const rowValue = a[i];
+			const colValue = b[i];
+			if (rowValue === null || rowValue === undefined) continue;
+			if (colValue === null || colValue === undefined) continue;
+
+			const name = String(colValue);
+			if (!names.has(name)) names.set(name, colValue);
+			// Keyed like groupby, so equal Dates share a row
+			const rowId = _valueKey(rowValue);
+			if (!counts.has(rowId)) {
+				counts.set(rowId, { value: rowValue, counts: new Map() });
+			}
+			const rowCounts = counts.get(rowId).counts;
+			rowCounts.set(name, (rowCounts.get(name) || 0) + 1);
+		}
+
+		const columns = Array.from(names.entries())
+			.sort((x, y) => _compareValues(x[1], y[1]))
+			.map(([name]) => name);
+		if (columns.includes(index)) {
+			throw new Error(`Column '${index}' clashes with the index column`);
+		}
+
+		const data = Array.from(counts.values())
+			.sort((x, y) => _compareValues(x.value, y.value))
+			.map(({ value, counts: rowCounts }) => {
+				const row = { [index]: value };
+				for (const name of columns) {
+					row[name] = rowCounts.get(name) || 0;
+				}
+				return row;
+			});
+
+		return new DataFrame(data, [index, ...columns]);
+	}
+
 	/**
 	 * Returns HTML code for displaying the DataFrame as a simple table
 	 *
@@ -386,7 +1645,7 @@ class DataFrame {
 	 * @throws {Error} - If the DataFrame is empty
 	 */
 	display_simple() {
-		if (this.data.length === 0) {
+		if (this.length === 0) {
 			throw new Error("Cannot display empty DataFrame");
 		}
 
@@ -399,8 +1658,7 @@ class DataFrame {
 		html += "    </tr>\n  </thead>\n";
 
 		html += "  <tbody>\n";
-		for (let i = 0; i < this.data.length; i++) {
-			const row = this.data[i];
+		for (const row of this._rowObjects()) {
 			html += "    <tr>\n";
 
 			for (const column of this.columns) {
@@ -418,4 +1676,277 @@ class DataFrame {
 
 		return html;
 	}
+
+	/**
+	 * Displays the DataFrame in an interactive DataTable (requires table.js)
+	 *
+	 * The table shares this DataFrame's row objects, so cell edits made in the
+	 * table are visible in the DataFrame. Columnar DataFrames must be
+	 * converted with `to_rows()` first.
+	 *
+	 * @param {HTMLElement|string} container - Container element or selector
+	 * @param {Object} [options={}] - Other DataTable configuration options
+	 * @returns {DataTable} - The created table
+	 * @throws {Error} - If table.js is not loaded or the DataFrame is columnar
+	 * @example
+	 * const table = df.toDataTable('#results', { pageSize: 25 });
+	 * const view = table.getViewAsDataFrame(); // filtered and sorted rows
+	 */
+	toDataTable(container, options = {}) {
+		if (typeof DataTable === "undefined") {
+			throw new Error("toDataTable requires table.js");
+		}
+		return new DataTable(container, { ...options, dataFrame: this });
+	}
+}
+
+/**
+ * Rows of a DataFrame split into groups by key columns
+ *
+ * Created by {@link DataFrame#groupby}. Iterating yields `[key, subDataFrame]`
+ * pairs, where `key` is the group value when grouping by a single column
+ * name and an array of values when grouping by an array of columns.
+ */
+class DataFrameGroupBy {
+	/**
+	 * @param {DataFrame} df - DataFrame to group
+	 * @param {string|Array<string>} by - Column name or names to group by
+	 * @param {Object} [options={}] - See {@link DataFrame#groupby}
+	 */
+	constructor(df, by, options = {}) {
+		const { sort = true } = options;
+		this.df = df;
+		this.multiKey = Array.isArray(by);
+		this.by = this.multiKey ? [...by] : [by];
+
+		if (this.by.length === 0) {
+			throw new Error("groupby requires at least one column");
+		}
+		for (const column of this.by) {
+			if (!df.columns.includes(column)) {
+				throw new Error(
+					`Column '${column}' not found in columns: ${df.columns.join(", ")}`,
+				);
+			}
+		}
+
+		// Bucket row indices by key value (or the JSON encoding of the key
+		// values when grouping by several columns)
+		const keyColumns = this.by.map((col) => df.col(col));
+		const single = keyColumns.length === 1 ? keyColumns[0] : null;
+		const groups = new Map();
+		for (let i = 0; i < df.length; i++) {
+			const id = single
+				? _valueKey(single[i] ?? null)
+				: JSON.stringify(keyColumns.map((column) => column[i] ?? null));
+			let group = groups.get(id);
+			if (!group) {
+				group = {
+					values: keyColumns.map((column) => column[i] ?? null),
+					indices: [],
+				};
+				groups.set(id, group);
+			}
+			group.indices.push(i);
+		}
+
+		this.groups = Array.from(groups.values());
+		if (sort) {
+			this.groups.sort((a, b) => {
+				for (let i = 0; i < this.by.length; i++) {
+					const cmp = _compareValues(a.values[i], b.values[i]);
+					if (cmp !== 0) return cmp;
+				}
+				return 0;
+			});
+		}
+	}
+
+	/**
+	 * Number of groups
+	 *
+	 * @returns {number} - Number of groups
+	 */
+	get length() {
+		return this.groups.length;
+	}
+
+	/**
+	 * Iterates over `[key, subDataFrame]` pairs
+	 *
+	 * @yields {Array} - Group key and a DataFrame of the group's rows
+	 */
+	*[Symbol.iterator]() {
+		for (const group of this.groups) {
+			yield [this.groupKey(group), this.groupFrame(group)];
+		}
+	}
+
+	/**
+	 * Returns the key of a group as exposed to callers
+	 *
+	 * @param {Object} group - Internal group record
+	 * @returns {*|Array} - Single value, or array of values for multiple columns
+	 */
+	groupKey(group) {
+		return this.multiKey ? [...group.values] : group.values[0];
+	}
+
+	/**
+	 * Returns the rows of a group as a DataFrame with the original columns
+	 *
+	 * @param {Object} group - Internal group record
+	 * @returns {DataFrame} - Group rows
+	 */
+	groupFrame(group) {
+		return this.df._take(group.indices);
+	}
+
+	/**
+	 * Returns an object holding the key columns of a group
+	 *
+	 * @param {Object} group - Internal group record
+	 * @returns {Object} - Key column name → value
+	 */
+	keyRow(group) {
+		const row = {};
+		this.by.forEach((col, i) => {
+			row[col] = group.values[i];
+		});
+		return row;
+	}
+
+	/**
+	 * Counts the rows in each group
+	 *
+	 * @returns {DataFrame} - Key columns plus a `size` column
+	 */
+	size() {
+		const data = this.groups.map((group) => ({
+			...this.keyRow(group),
+			size: group.indices.length,
+		}));
+		return new DataFrame(data, [...this.by, "size"]);
+	}
+
+	/**
+	 * Aggregates columns within each group
+	 *
+	 * Each spec entry maps a column to an aggregation name (`sum`, `mean`,
+	 * `median`, `std`, `min`, `max`, `count`, `nunique`, `first`, `last`;
+	 * requires stats.js), a function of the group's non-null values, or an
+	 * array of these. A
+	 * single aggregation keeps the column name; an array produces flattened
+	 * `column_aggregation` names (functions use their `name`, or `custom`
+	 * if anonymous).
+	 *
+	 * @param {Object<string, string|Function|Array<string|Function>>} spec - Column → aggregation(s)
+	 * @returns {DataFrame} - One row per group: key columns then aggregates
+	 * @throws {Error} - If a column or aggregation name is unknown, or if
+	 *   two outputs (or an output and a key column) share a name
+	 * @example
+	 * df.groupby('model').agg({ loss: ['mean', 'std'], acc: 'max', n: 'count' })
+	 * // columns: model, loss_mean, loss_std, acc, n
+	 */
+	agg(spec) {
+		// Resolve the spec into output columns
+		const outputs = [];
+		const names = new Set(this.by);
+		for (const [column, aggs] of Object.entries(spec)) {
+			if (!this.df.columns.includes(column)) {
+				throw new Error(
+					`Column '${column}' not found in columns: ${this.df.columns.join(", ")}`,
+				);
+			}
+			const list = Array.isArray(aggs) ? aggs : [aggs];
+			for (const agg of list) {
+				let fn;
+				let label;
+				if (typeof agg === "string") {
+					fn = _namedAggregation(agg);
+					label = agg;
+				} else if (typeof agg === "function") {
+					fn = agg;
+					label = agg.name || "custom";
+				} else {
+					throw new Error(
+						`Aggregation for column '${column}' must be a name or function`,
+					);
+				}
+				const name = Array.isArray(aggs)
+					? `${column}_${label}`
+					: column;
+				if (names.has(name)) {
+					throw new Error(
+						this.by.includes(name)
+							? `Aggregation output '${name}' clashes with a group key column`
+							: `Duplicate aggregation output '${name}'`,
+					);
+				}
+				names.add(name);
+				outputs.push({ column, fn, name });
+			}
+		}
+
+		const columnValues = new Map(
+			outputs.map(({ column }) => [column, this.df.col(column)]),
+		);
+		const data = this.groups.map((group) => {
+			const row = this.keyRow(group);
+			for (const { column, fn, name } of outputs) {
+				const all = columnValues.get(column);
+				const values = group.indices
+					.map((i) => all[i])
+					.filter((v) => v !== null && v !== undefined);
+				row[name] = fn(values);
+			}
+			return row;
+		});
+
+		return new DataFrame(data, [...this.by, ...outputs.map((o) => o.name)]);
+	}
+
+	/**
+	 * Calls a function on each group and combines the results
+	 *
+	 * The function receives `(subDataFrame, key)`. A returned DataFrame
+	 * contributes all its rows, a plain object contributes one row, and any
+	 * other value becomes a `value` column. Key columns are added to each
+	 * row unless the result already has them.
+	 *
+	 * @param {Function} fn - Function (subDataFrame, key) => DataFrame|Object|*
+	 * @returns {DataFrame} - Combined results
+	 * @example
+	 * // Best run per model
+	 * df.groupby('model').apply((sub) => sub.sort('loss').row(0))
+	 */
+	apply(fn) {
+		const data = [];
+		const columns = new Set(this.by);
+
+		for (const group of this.groups) {
+			const result = fn(this.groupFrame(group), this.groupKey(group));
+
+			let rows;
+			if (result instanceof DataFrame) {
+				result.columns.forEach((col) => columns.add(col));
+				rows = result._rowObjects();
+			} else if (
+				result !== null &&
+				typeof result === "object" &&
+				!Array.isArray(result)
+			) {
+				rows = [result];
+			} else {
+				rows = [{ value: result }];
+			}
+
+			for (const r of rows) {
+				Object.keys(r).forEach((col) => columns.add(col));
+				data.push({ ...this.keyRow(group), ...r });
+			}
+		}
+
+		return new DataFrame(data, Array.from(columns));
+	}
 }
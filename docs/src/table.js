@@ -31,29 +31,142 @@
  * Column configuration object.
  * @typedef {Object} ColumnConfig
  * @property {string} key - Property name in data objects (supports dot notation for nested values)
+ * @property {boolean} [literalKey=false] - Read key as a single property name, without dot notation (set on columns inferred from a dataFrame)
  * @property {string} [id] - Optional unique identifier (defaults to key)
  * @property {string} [label] - Display label (defaults to capitalized key)
  * @property {'string'|'number'|'boolean'|'date'} [type='string'] - Data type for filtering/sorting
  * @property {string} [width] - CSS width value (e.g., '100px', '20%')
+ * @property {boolean} [hidden=false] - Whether the column is hidden (see setColumnVisibility())
  * @property {'left'|'center'|'right'} [align] - Text alignment
+ * @property {'left'|'right'} [pinned] - Keeps the column at the left or right edge while scrolling horizontally (see setColumnPinned())
  * @property {boolean} [filterable=true] - Whether column can be filtered
+ * @property {'text'|'facet'} [filter='text'] - Filter with a text expression, or pick values from a dropdown of distinct values with counts (see getFacetValues())
  * @property {function(*, Object, ColumnConfig): (string|HTMLElement)} [renderer] - Custom cell renderer
+ * @property {'sparkline'|'sparkbars'|'heatmap'|'bar'|'json'} [render] - Built-in cell renderer (ignored if renderer is set)
+ * @property {Object} [renderOptions] - Options for the built-in renderer: sparkline()/sparkbars() options, or { colormap, min, max } for heatmap, { min, max, color, showValue } for bar, and { indent } for json
  * @property {function(*, Object): *} [sortFunction] - Custom sort value transformer
  * @property {function(string): (function(*): boolean)|null} [filterFunction] - Custom filter function factory
  * @property {string} [filterTooltip] - Custom filter help text
  * @property {function(Array, ColumnConfig): (string|HTMLElement)} [infoFunction] - Custom info row calculator
+ * @property {function(*): string} [formatter] - Formats non-null values for display in cells and the summary footer (ignored by custom and built-in renderers)
+ * @property {'sum'|'mean'|'median'|'std'|'count'|'nunique'|function(Array, Array<Object>, ColumnConfig): *} [aggregate] - Statistic shown in the summary footer (names need stats.js); functions get the non-null values, the rows, and the column
+ * @property {boolean} [editable=false] - Whether cells can be edited (double-click, Enter, or F2)
+ * @property {function(*, Object, ColumnConfig, EditorControls): HTMLElement} [editor] - Custom editor factory, replacing the built-in editor for the column type
+ * @property {function(*, Object): (boolean|string|void)} [validate] - Checks an edited value before it is saved; return false or an error message to reject it
+ */
+
+/**
+ * Callbacks passed to a custom column editor.
+ * @typedef {Object} EditorControls
+ * @property {function(*): boolean} commit - Validates and saves a value; returns false if validation failed
+ * @property {function(): void} cancel - Closes the editor without saving
+ */
+
+/**
+ * Unsaved edits to one row, as returned by getChanges().
+ * @typedef {Object} RowChanges
+ * @property {Object} row - Edited row data object (already holding the new values)
+ * @property {Object<string, {oldValue: *, newValue: *}>} changes - Original and current value by column key
  */
 
 /**
  * DataTable constructor configuration.
  * @typedef {Object} DataTableConfig
  * @property {Array<Object>} [data=[]] - Array of row data objects
+ * @property {DataFrame} [dataFrame] - DataFrame to display instead of data; the table shares its row objects (so edits show up in the DataFrame; columnar DataFrames must be converted with to_rows() first) and takes columns from dataFrame.columns (with literalKey set, so names with dots are not nested paths)
  * @property {Array<ColumnConfig>} [columns=[]] - Column configurations (auto-inferred if empty)
  * @property {Array<number>} [pageSizeOptions=[10, 25, 50, 100]] - Available page size options
  * @property {number} [pageSize] - Initial page size (defaults to first option)
  * @property {boolean} [showFilters=true] - Whether to display filter row
- * @property {boolean} [showInfo=false] - Whether to display info row with statistics
+ * @property {boolean} [showInfo=false] - Whether to display info row with statistics (needs stats.js for columns without an infoFunction)
  * @property {string} [minColumnWidth='2em'] - Minimum column width for resizing
+ * @property {boolean} [virtualScroll=false] - Render only the visible rows inside a fixed-height scroll container instead of paginating
+ * @property {number} [rowHeight] - Row height in pixels for virtual scrolling (measured from the first rendered row if omitted)
+ * @property {string} [viewportHeight='400px'] - CSS height of the scroll container in virtual scroll mode (maximum height with stickyHeader)
+ * @property {boolean} [stickyHeader=false] - Scrolls rows inside a container of at most viewportHeight, keeping the header, info, and filter rows visible
+ * @property {number} [filterDebounce] - Delay in ms before filter input is applied (defaults to 150 in virtual scroll and dataSource modes, 0 otherwise)
+ * @property {'single'|'multi'} [selectable] - Adds a checkbox column for selecting one or many rows
+ * @property {PersistStateConfig} [persistState] - Saves sort, filters, page, page size, and column widths, and restores them on load
+ * @property {Array<string>} [groupBy] - Column IDs (or data keys) to group rows by, outermost first; group headers show column statistics (needs stats.js)
+ * @property {function(DataSourceQuery): Promise<DataSourceResult>} [dataSource] - Loads each page on demand (e.g. from a server) instead of filtering, sorting, and paging data in memory
+ * @property {function(Object): (string|HTMLElement)} [detailRenderer] - Renders the content of an expandable detail row shown under a row (adds an expand toggle column)
+ * @property {string|function(Object): *} [rowKey] - Key (dot notation supported) or function giving each row a unique ID; tracks selection, expansion, and edits across setData(), and enables upsertRows() / removeRows()
+ * @property {'filtered'|'all'} [summaryScope='filtered'] - Whether the summary footer describes the rows passing the filters or all rows (see setSummaryScope())
+ * @property {'light'|'dark'|'auto'|Object<string, string>} [theme='light'] - Built-in theme, or custom values keyed like COLORS and SPACING (e.g. { HEADER_BG: '#222' }) on top of the light theme
+ */
+
+/**
+ * Query passed to a dataSource function.
+ * @typedef {Object} DataSourceQuery
+ * @property {number} page - Requested page (1-based)
+ * @property {number} pageSize - Rows per page
+ * @property {Array<SortKey>} sort - Sort keys in priority order
+ * @property {Object<string, string>} filters - Raw filter input by column ID (valid filters only)
+ * @property {AbortSignal} signal - Aborted when a newer query supersedes this one
+ */
+
+/**
+ * Result a dataSource function resolves to.
+ * @typedef {Object} DataSourceResult
+ * @property {Array<Object>} rows - Rows of the requested page
+ * @property {number} total - Number of rows matching the filters, across all pages
+ */
+
+/**
+ * A group of rows sharing the same value for a groupBy key.
+ * @typedef {Object} RowGroup
+ * @property {string} id - Stable identifier built from the group values of this group and its parents
+ * @property {number} level - Nesting depth (0 for the outermost groupBy key)
+ * @property {string} label - Label of the grouping column
+ * @property {*} value - Shared value of the grouping key
+ * @property {Array<Object>} rows - Filtered rows in the group, in sort order
+ * @property {number} start - Index in filteredData of the group's first row
+ * @property {Array<RowGroup>|null} children - Subgroups, or null for the innermost level
+ * @property {Object<string, string>} info - Cached aggregate HTML by column ID
+ */
+
+/**
+ * Summary statistics of a column's non-null values.
+ * @typedef {Object} ColumnStats
+ * @property {number} count - Number of non-null values
+ * @property {number|null} unique - Number of distinct values (non-numeric columns only)
+ * @property {number|null} min - Minimum (numeric columns only, null without numbers)
+ * @property {number|null} max - Maximum
+ * @property {number|null} mean - Mean
+ * @property {number|null} median - Median
+ */
+
+/**
+ * Where and under which key a table saves its view state.
+ * @typedef {Object} PersistStateConfig
+ * @property {string} key - localStorage key, or in URL mode the query parameter prefix (e.g. 'grid' → ?grid.page=2)
+ * @property {'local'|'url'} [storage='local'] - Save to localStorage, or to the page URL so filtered views can be shared as links
+ */
+
+/**
+ * View state saved by persistState, as returned by getViewState().
+ * @typedef {Object} ViewState
+ * @property {number} page - Current page (1-based)
+ * @property {number} pageSize - Rows per page
+ * @property {Array<SortKey>} sort - Sort keys in priority order
+ * @property {Object<string, string>} filters - Raw filter input by column ID
+ * @property {Object<string, string>} widths - CSS width by column ID, for columns that have one
+ */
+
+/**
+ * One key of a (possibly multi-column) sort.
+ * @typedef {Object} SortKey
+ * @property {string} id - Column identifier
+ * @property {'asc'|'desc'} direction - Sort direction
+ */
+
+/**
+ * Serializable layout of one column, as returned by getColumnState().
+ * @typedef {Object} ColumnState
+ * @property {string} id - Column identifier
+ * @property {boolean} hidden - Whether the column is hidden
+ * @property {'left'|'right'} [pinned] - Edge the column is pinned to (only present for pinned columns)
+ * @property {string|null} width - CSS width set in config or by resizing, or null for automatic
  */
 
 /**
@@ -67,51 +180,111 @@
  * Internal filter state object.
  * @typedef {Object} FilterState
  * @property {string} key - Column key for data access
+ * @property {boolean} literalKey - Whether the key is read without dot notation
  * @property {string} value - Raw filter input value
  * @property {string} type - Column data type
  * @property {boolean} valid - Whether filter input is valid
+ * @property {string|null} [error] - Message describing why the filter is invalid
  * @property {function(*): boolean|null} [customFilter] - Custom filter function if applicable
  */
 
+/**
+ * Time span matched by a date filter literal (e.g. a whole day for '2024-01-05').
+ * @typedef {Object} DateSpan
+ * @property {number} start - Start of the span in milliseconds (inclusive)
+ * @property {number} end - End of the span in milliseconds (exclusive)
+ */
+
+/**
+ * Options for exportData() and the other export methods.
+ * @typedef {Object} ExportOptions
+ * @property {'all'|'filtered'|'page'|'selected'} [scope='filtered'] - Rows to export: all data, rows passing the filters, the current page, or the selected rows
+ * @property {boolean} [selectedOnly=false] - Shorthand for scope 'selected'
+ */
+
 /**
  * Global constants for DataTable styling and configuration.
  * @constant {Object}
  * @property {Object} COLORS - Color values for various UI elements
  * @property {Object} SPACING - Padding, margin, and sizing values
+ * @property {Object} THEMES - Built-in theme values for the styling custom properties
  * @property {Object} PAGINATION - Pagination-related defaults
+ * @property {Object} VIRTUAL - Virtual scrolling defaults
+ * @property {Object} PERSIST - View state persistence timing
  * @property {Object} FEEDBACK - Animation and feedback timing
  * @property {Object} ICONS - SVG icons and symbol characters
  * @property {Object} MESSAGES - User-facing text messages
  * @property {Object} FILTER_TOOLTIPS - Default filter help text
+ * @property {Object} RENDERERS - Built-in cell renderer names and defaults
+ * @property {Object} EXPORT - Export formats and row scopes
+ * @property {Object} FILTERS - Column filter kinds and facet dropdown sizing
+ * @property {Object} AGGREGATES - Summary footer statistics and their symbols
+ * @property {Object} SUMMARY_SCOPES - Rows the summary footer can describe
  * @private
  */
 const _TABLE_CONSTS = {
 	// CSS Class prefixes
 	CSS_PREFIX: "tablejs-",
 
-	// Default styling values
+	// Default styling values, read from --tablejs-* custom properties so they can be set
+	// from CSS (e.g. `.tablejs-wrapper { --tablejs-header-bg: #222; }`) or by a theme.
+	// Fallbacks are the light theme.
 	COLORS: {
-		BORDER: "#ccc",
-		HEADER_BG: "#f5f5f5",
-		FILTER_BG: "#f5f5f5",
-		FOOTER_BG: "#f5f5f5",
-		HOVER_BG: "#f0f0f0",
-		ERROR_BG: "#ffcccc",
-		SUCCESS_COLOR: "green",
-		MUTED_TEXT: "#999",
+		TEXT: "var(--tablejs-text, inherit)",
+		BACKGROUND: "var(--tablejs-background, transparent)",
+		BORDER: "var(--tablejs-border, #ccc)",
+		HEADER_BG: "var(--tablejs-header-bg, #f5f5f5)",
+		FILTER_BG: "var(--tablejs-filter-bg, #f5f5f5)",
+		FOOTER_BG: "var(--tablejs-footer-bg, #f5f5f5)",
+		HOVER_BG: "var(--tablejs-hover-bg, #f0f0f0)",
+		BODY_BG: "var(--tablejs-body-bg, #fff)",
+		ERROR_BG: "var(--tablejs-error-bg, #ffcccc)",
+		ERROR_TEXT: "var(--tablejs-error-text, #c00)",
+		SELECTED_BG: "var(--tablejs-selected-bg, #e6f0ff)",
+		GROUP_BG: "var(--tablejs-group-bg, #eef2f7)",
+		DROP_INDICATOR: "var(--tablejs-drop-indicator, #3b82f6)",
+		SUCCESS_COLOR: "var(--tablejs-success-color, green)",
+		MUTED_TEXT: "var(--tablejs-muted-text, #999)",
+		UPDATED_BG: "var(--tablejs-updated-bg, #fff3bf)",
 	},
 
-	// Spacing and sizing
+	// Spacing and sizing (custom properties as for COLORS)
 	SPACING: {
-		PADDING_CELL: "8px",
-		PADDING_FILTER: "4px 8px",
-		PADDING_BUTTON: "4px 8px",
-		MARGIN_ICON: "4px",
-		BORDER_WIDTH: "1px",
-		MIN_COLUMN_WIDTH: "2em",
-		RESIZE_HANDLE_WIDTH: "4px",
+		PADDING_CELL: "var(--tablejs-padding-cell, 8px)",
+		PADDING_FILTER: "var(--tablejs-padding-filter, 4px 8px)",
+		PADDING_BUTTON: "var(--tablejs-padding-button, 4px 8px)",
+		MARGIN_ICON: "var(--tablejs-margin-icon, 4px)",
+		BORDER_WIDTH: "var(--tablejs-border-width, 1px)",
+		MIN_COLUMN_WIDTH: "2em", // Default for the minColumnWidth option, measured in pixels
+		RESIZE_HANDLE_WIDTH: "var(--tablejs-resize-handle-width, 4px)",
 	},
 
+	// Themes: values for the custom properties above, keyed like COLORS and SPACING.
+	// "light" uses the fallbacks; "auto" follows prefers-color-scheme.
+	THEMES: {
+		light: {},
+		dark: {
+			TEXT: "#e3e6ea",
+			BACKGROUND: "#1b1e23",
+			BORDER: "#3d434c",
+			HEADER_BG: "#262a31",
+			FILTER_BG: "#262a31",
+			FOOTER_BG: "#262a31",
+			HOVER_BG: "#2e333b",
+			BODY_BG: "#1b1e23",
+			ERROR_BG: "#5c2b2b",
+			ERROR_TEXT: "#ff8f8f",
+			SELECTED_BG: "#1e3a5f",
+			GROUP_BG: "#2a3039",
+			DROP_INDICATOR: "#60a5fa",
+			SUCCESS_COLOR: "#4ade80",
+			MUTED_TEXT: "#8b929c",
+			UPDATED_BG: "#5c4b12",
+		},
+	},
+	DEFAULT_THEME: "light",
+	DARK_MODE_QUERY: "(prefers-color-scheme: dark)",
+
 	// Pagination defaults
 	PAGINATION: {
 		DEFAULT_PAGE_SIZES: [10, 25, 50, 100],
@@ -119,9 +292,24 @@ const _TABLE_CONSTS = {
 		BUTTON_MIN_WIDTH: "30px",
 	},
 
+	// Virtual scrolling defaults
+	VIRTUAL: {
+		DEFAULT_ROW_HEIGHT: 33,
+		VIEWPORT_HEIGHT: "400px",
+		OVERSCAN_ROWS: 8,
+		FILTER_DEBOUNCE: 150,
+	},
+
+	// View state persistence
+	PERSIST: {
+		SAVE_DELAY: 250, // Debounce for saving state (browsers rate-limit history.replaceState)
+	},
+
 	// Animation and feedback
 	FEEDBACK: {
 		SUCCESS_TIMEOUT: 1500,
+		UPDATE_HIGHLIGHT: 1000, // Cells changed by upsertRows() stay highlighted this long (ms)
+		UPDATE_FADE: "box-shadow 0.5s",
 		ICON_OPACITY_ACTIVE: "1",
 		ICON_OPACITY_INACTIVE: "0.6",
 	},
@@ -138,6 +326,8 @@ const _TABLE_CONSTS = {
 		copy: '<svg width="16" height="16" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><rect x="5" y="9" width="10" height="10" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /><rect x="9" y="5" width="10" height="10" fill="white" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /></svg>',
 		prev: "‹",
 		next: "›",
+		expanded: "▾",
+		collapsed: "▸",
 		clear: "×",
 	},
 
@@ -147,15 +337,107 @@ const _TABLE_CONSTS = {
 		COPY_SUCCESS: "Copied!",
 		COPY_TITLE: "Copy to clipboard",
 		CLEAR_FILTER: "Clear filter",
-		EXPORT_CSV: "Export CSV",
+		EXPORT: "Export",
+		EXPORT_FORMAT: "Export format",
+		EXPORT_SCOPE: "Rows to export",
 		CLEAR_FILTERS: "Clear Filters",
-		DOWNLOAD_FILENAME: "table-data.csv",
+		DOWNLOAD_BASENAME: "table-data", // Extension added per export format
+		SELECT_ALL: "Select all filtered rows",
+		SELECT_ROW: "Select row",
+		SHOW_DETAILS: "Show details",
+		HIDE_DETAILS: "Hide details",
+		ROW_COUNT: "rows",
+		INVALID_VALUE: "Invalid value",
+		EMPTY_GROUP: "(empty)",
+		LOADING: "Loading…",
+		LOAD_ERROR: "Failed to load data",
+		INVALID_FILTER: "Invalid filter",
+		COLUMNS: "Columns",
+		COLUMNS_TITLE: "Show or hide columns",
+		FACET_ALL: "All",
+		FACET_SELECTED: "selected", // Shown after the number of selected values
+		FACET_SEARCH: "Search values",
+		FACET_SELECT_ALL: "Select all",
+		FACET_NO_MATCH: "No matching values",
+		SUMMARY_SCOPE: "Rows summarized in the footer",
+	},
+
+	// Summary footer statistics (column `aggregate` option) and their symbols
+	AGGREGATES: {
+		sum: "Σ",
+		mean: "μ",
+		median: "x̃",
+		std: "σ",
+		count: "n",
+		nunique: "unique",
+	},
+	SUMMARY_SCOPES: {
+		filtered: "Filtered rows",
+		all: "All rows",
+	},
+
+	// Column filter kinds (column `filter` option)
+	FILTERS: {
+		KINDS: ["text", "facet"],
+		FACET_LIST_HEIGHT: "240px",
+	},
+
+	// Built-in cell renderers (column `render` option)
+	RENDERERS: {
+		NAMES: ["sparkline", "sparkbars", "heatmap", "bar", "json"],
+		SPARKLINE: { width: 100, height: 24, margin: 2 }, // Passed to sparkline()/sparkbars()
+		HEATMAP_COLORMAP: "blues",
+		BAR_COLOR: "#4169E1",
+		BAR_BG: "#e5e7eb",
+		BAR_HEIGHT: "0.6em",
+	},
+
+	// Export formats (label, file extension, MIME type) and row scopes
+	EXPORT: {
+		FORMATS: {
+			csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+			tsv: {
+				label: "TSV",
+				extension: "tsv",
+				mimeType: "text/tab-separated-values",
+			},
+			json: {
+				label: "JSON",
+				extension: "json",
+				mimeType: "application/json",
+			},
+			jsonl: {
+				label: "JSONL",
+				extension: "jsonl",
+				mimeType: "application/jsonl",
+			},
+			markdown: {
+				label: "Markdown",
+				extension: "md",
+				mimeType: "text/markdown",
+			},
+			latex: {
+				label: "LaTeX",
+				extension: "tex",
+				mimeType: "application/x-latex",
+			},
+		},
+		SCOPES: {
+			all: "All rows",
+			filtered: "Filtered rows",
+			page: "Current page",
+			selected: "Selected rows",
+		},
+		DEFAULT_FORMAT: "csv",
+		DEFAULT_SCOPE: "filtered",
 	},
 
 	// Filter tooltips
 	FILTER_TOOLTIPS: {
-		NUMBER: "Use operators: >, <, >=, <=, ==, != (e.g., >50, <=100)",
-		DEFAULT: "Type to filter. Use * for wildcards (e.g., foo*, *bar)",
+		NUMBER: "Use operators: >, <, >=, <=, ==, != (e.g., >50, <=100) or ranges (10..50). Combine with & and |, negate with !, match missing values with is:null",
+		DATE: "Compare dates: >=2024-01-01, <2024-06, 2024-01..2024-03. Combine with & and |, negate with !, match missing values with is:null",
+		DEFAULT:
+			"Type to filter. Use * for wildcards (e.g., foo*, *bar) or /regex/i. Combine with & and |, negate with !, match blanks with is:empty",
 	},
 };
 
@@ -178,8 +460,33 @@ class DataTable {
 		if (!this.container) {
 			throw new Error(`DataTable container not found: ${container}`);
 		}
-		this.data = config.data || [];
+		this.dataFrame = config.dataFrame || null;
+		if (this.dataFrame && config.data) {
+			throw new Error("Pass either data or dataFrame, not both");
+		}
+		if (this.dataFrame && this.dataFrame.storage !== "rows") {
+			throw new Error(
+				"dataFrame must use row storage; convert it with to_rows()",
+			);
+		}
+		this.data = this.dataFrame ? this.dataFrame.data : config.data || [];
 		this.columns = config.columns || [];
+		this.columns.forEach((col) => {
+			this.validateColumnRender(col);
+			if (
+				col.filter !== undefined &&
+				!_TABLE_CONSTS.FILTERS.KINDS.includes(col.filter)
+			) {
+				throw new Error(`Unknown column filter: ${col.filter}`);
+			}
+			if (
+				col.aggregate !== undefined &&
+				typeof col.aggregate !== "function" &&
+				!(col.aggregate in _TABLE_CONSTS.AGGREGATES)
+			) {
+				throw new Error(`Unknown column aggregate: ${col.aggregate}`);
+			}
+		});
 		this.pageSizeOptions =
 			config.pageSizeOptions ||
 			_TABLE_CONSTS.PAGINATION.DEFAULT_PAGE_SIZES;
@@ -189,23 +496,143 @@ class DataTable {
 		this.minColumnWidth =
 			config.minColumnWidth || _TABLE_CONSTS.SPACING.MIN_COLUMN_WIDTH;
 		this.currentPage = 1;
-		this.sortColumnId = null;
-		this.sortDirection = null;
+		this.sortState = []; // Ordered SortKey list, primary key first
 		this.filters = {};
 		this.filteredData = [];
 		this.paginationListeners = []; // Store listeners for cleanup
-		if (this.columns.length === 0 && this.data.length > 0) {
-			this.columns = Object.keys(this.data[0]).map((key) => ({
-				key: key,
-				label: key.charAt(0).toUpperCase() + key.slice(1),
-				type: this.inferType(this.data[0][key]),
-				filterable: true,
-			}));
+		this.virtualScroll = config.virtualScroll === true; // Default to false
+		this.rowHeight = config.rowHeight || null;
+		this.viewportHeight =
+			config.viewportHeight || _TABLE_CONSTS.VIRTUAL.VIEWPORT_HEIGHT;
+		this.stickyHeader = config.stickyHeader === true; // Default to false
+		this.summaryScope = config.summaryScope || "filtered";
+		if (!(this.summaryScope in _TABLE_CONSTS.SUMMARY_SCOPES)) {
+			throw new Error(`Unknown summary scope: ${this.summaryScope}`);
+		}
+		this.summaryRow = null;
+		this.filterDebounce =
+			config.filterDebounce ??
+			(this.virtualScroll || config.dataSource
+				? _TABLE_CONSTS.VIRTUAL.FILTER_DEBOUNCE
+				: 0);
+		this.measuredRowHeight = null;
+		this.virtualRowPool = []; // Reused <tr> elements in virtual scroll mode
+		this.virtualFrame = null;
+		this.selectable =
+			config.selectable === "single" || config.selectable === "multi"
+				? config.selectable
+				: null;
+		this.selectedKeys = new Set();
+		this.selectionAnchor = null; // Key of the last clicked row, for shift-click ranges
+		this.focusedCell = null; // { row, col }: row is an index into filteredData, or -1 for the header
+		this.draggedColumnId = null; // Column being dragged to a new position
+		this.resizingColumn = false; // Suppresses header dragging while a resize handle is held
+		this.columnMenuOpen = false;
+		this.columnMenuCloseHandler = null;
+		this.facetMenuColumnId = null; // Column whose facet dropdown is open
+		this.facetMenuCloseHandler = null;
+		this.persistState = config.persistState
+			? { storage: "local", ...config.persistState }
+			: null;
+		if (this.persistState) {
+			if (!this.persistState.key) {
+				throw new Error("persistState requires a key");
+			}
+			if (
+				this.persistState.storage !== "local" &&
+				this.persistState.storage !== "url"
+			) {
+				throw new Error(
+					`Invalid persistState storage: ${this.persistState.storage}`,
+				);
+			}
+		}
+		this.saveStateTimeout = null;
+		this.editing = null; // Open cell editor: { td, row, col, colIndex, oldValue, editor }
+		this.changes = new Map(); // Row key -> RowChanges
+		this.rowKey = config.rowKey || null;
+		this.pendingUpdates = { upserts: new Map(), removals: new Set() }; // Queued by upsertRows() / removeRows()
+		this.updateFrame = null;
+		this.pendingPatch = null; // Row -> changed column IDs (or null) for the next renderTable(), see flushUpdates()
+		this.groupBy = config.groupBy || [];
+		this.groups = null; // Array<RowGroup> while grouping
+		this.collapsedGroups = new Set(); // RowGroup ids
+		this.displayRows = null; // Group header and data row entries, in display order, while grouping
+		this.rowDisplayIndex = null; // filteredData index -> display position (-1 if collapsed), while grouping
+		this.dataSource = config.dataSource || null;
+		if (
+			this.dataSource &&
+			(this.virtualScroll || this.groupBy.length > 0)
+		) {
+			throw new Error(
+				"dataSource cannot be combined with virtualScroll or groupBy",
+			);
+		}
+		this.remoteTotal = 0; // Total matching rows reported by the dataSource
+		this.remoteQueryKey = null; // Serialized query of the latest request
+		this.remoteRequest = null; // In-flight request: { controller, promise }
+		this.loading = false;
+		this.loadError = null;
+		this.eventHandlers = []; // Handlers registered with on(): { eventName, handler, listener }
+		this.exportFormat = _TABLE_CONSTS.EXPORT.DEFAULT_FORMAT; // Chosen in the footer export menu
+		this.exportScope = _TABLE_CONSTS.EXPORT.DEFAULT_SCOPE;
+		this.columnRanges = new Map(); // Column ID -> filtered {min, max}, see getColumnRange()
+		this.detailRenderer = config.detailRenderer || null;
+		if (this.detailRenderer && this.virtualScroll) {
+			// Detail rows would break the fixed row height virtual scrolling relies on
+			throw new Error(
+				"detailRenderer cannot be combined with virtualScroll",
+			);
+		}
+		this.expandedKeys = new Set(); // Row keys with an open detail row
+		this.theme = null;
+		this.themeVariables = []; // Custom properties set by the current theme
+		this.darkModeQuery = null; // MediaQueryList watched by the "auto" theme
+		this.darkModeListener = null;
+		const theme = config.theme ?? _TABLE_CONSTS.DEFAULT_THEME;
+		this.validateTheme(theme);
+		this.theme = theme;
+		if (this.columns.length === 0 && this.dataFrame) {
+			this.columns = this.inferDataFrameColumns(this.dataFrame);
+		} else if (this.columns.length === 0 && this.data.length > 0) {
+			this.columns = this.inferColumns(this.data[0]);
 		}
 
 		this.init();
 	}
 
+	/**
+	 * ID of the primary sort column, or null if unsorted.
+	 * Kept for single-column compatibility; see getSort() for all sort keys.
+	 * @type {string|null}
+	 */
+	get sortColumnId() {
+		return this.sortState.length > 0 ? this.sortState[0].id : null;
+	}
+
+	set sortColumnId(columnId) {
+		this.sortState = columnId
+			? [{ id: columnId, direction: this.sortDirection || "asc" }]
+			: [];
+	}
+
+	/**
+	 * Direction of the primary sort column, or null if unsorted.
+	 * @type {'asc'|'desc'|null}
+	 */
+	get sortDirection() {
+		return this.sortState.length > 0 ? this.sortState[0].direction : null;
+	}
+
+	set sortDirection(direction) {
+		if (this.sortState.length === 0) return;
+		if (direction) {
+			this.sortState[0].direction = direction;
+		} else {
+			this.sortState = [];
+		}
+	}
+
 	/**
 	 * Infers the data type of a value.
 	 * @param {*} value - Value to analyze
@@ -219,6 +646,52 @@ class DataTable {
 		return "string";
 	}
 
+	/**
+	 * Builds column configurations from the keys of a sample row.
+	 * @param {Object} row - Sample row data object
+	 * @returns {Array<ColumnConfig>} Inferred column configurations
+	 * @private
+	 */
+	inferColumns(row) {
+		return Object.keys(row).map((key) => ({
+			key: key,
+			label: key.charAt(0).toUpperCase() + key.slice(1),
+			type: this.inferType(row[key]),
+			filterable: true,
+		}));
+	}
+
+	/**
+	 * Creates column configurations for a DataFrame's columns, in its column order.
+	 * Types are inferred from the first non-null value of each column.
+	 * @param {DataFrame} dataFrame - DataFrame to display
+	 * @returns {Array<ColumnConfig>} Column configurations
+	 * @private
+	 */
+	inferDataFrameColumns(dataFrame) {
+		return dataFrame.columns.map((key) => {
+			const sample = dataFrame.data.find(
+				(row) => row[key] !== null && row[key] !== undefined,
+			);
+			return {
+				key: key,
+				label: key.charAt(0).toUpperCase() + key.slice(1),
+				type: this.inferType(sample ? sample[key] : undefined),
+				filterable: true,
+				literalKey: true,
+			};
+		});
+	}
+
+	/**
+	 * Points the DataFrame given as config.dataFrame at the table's current data array,
+	 * after methods that replace the array (setData(), removeRows()).
+	 * @private
+	 */
+	syncDataFrame() {
+		if (this.dataFrame) this.dataFrame.data = this.data;
+	}
+
 	/**
 	 * Gets a value from an object using dot notation for nested properties.
 	 * @param {Object} obj - Object to extract value from
@@ -242,6 +715,18 @@ class DataTable {
 		return value;
 	}
 
+	/**
+	 * Gets a column's value from a row, reading the key literally for literalKey columns.
+	 * @param {Object} row - Row data object
+	 * @param {ColumnConfig} col - Column configuration (or any object with its key and literalKey)
+	 * @returns {*} Cell value, or undefined if not found
+	 */
+	getCellValue(row, col) {
+		return col.literalKey
+			? row[col.key]
+			: this.getNestedValue(row, col.key);
+	}
+
 	/**
 	 * Gets the unique identifier for a column.
 	 * @param {ColumnConfig} col - Column configuration
@@ -277,6 +762,106 @@ class DataTable {
 		return element;
 	}
 
+	/**
+	 * Checks that a theme is a built-in theme name or an object of custom values.
+	 * @param {string|Object} theme - Theme to check
+	 * @throws {Error} If the theme is unknown or has unknown keys
+	 * @private
+	 */
+	validateTheme(theme) {
+		if (typeof theme === "string") {
+			if (theme !== "auto" && !_TABLE_CONSTS.THEMES[theme]) {
+				throw new Error(`Unknown theme: ${theme}`);
+			}
+			return;
+		}
+		if (!theme || typeof theme !== "object") {
+			throw new Error(`Unknown theme: ${theme}`);
+		}
+		Object.keys(theme).forEach((key) => {
+			if (!this.getThemeVariableName(key)) {
+				throw new Error(`Unknown theme value: ${key}`);
+			}
+		});
+	}
+
+	/**
+	 * Gets the custom property behind a COLORS or SPACING key.
+	 * @param {string} key - Key such as 'HEADER_BG'
+	 * @returns {string|null} Property name such as '--tablejs-header-bg', or null if the key has none
+	 * @private
+	 */
+	getThemeVariableName(key) {
+		const value =
+			_TABLE_CONSTS.COLORS[key] ?? _TABLE_CONSTS.SPACING[key] ?? "";
+		const match = /^var\((--[\w-]+)/.exec(value);
+		return match ? match[1] : null;
+	}
+
+	/**
+	 * Gets the name of the built-in theme currently shown, resolving "auto" from prefers-color-scheme.
+	 * @returns {string|null} 'light' or 'dark', or null for a custom theme
+	 */
+	getResolvedTheme() {
+		if (typeof this.theme !== "string") return null;
+		if (this.theme !== "auto") return this.theme;
+		return this.darkModeQuery?.matches ? "dark" : "light";
+	}
+
+	/**
+	 * Switches the table to another theme.
+	 * @param {'light'|'dark'|'auto'|Object<string, string>} theme - Built-in theme name, or custom values keyed like COLORS and SPACING
+	 * @throws {Error} If the theme is unknown
+	 */
+	setTheme(theme) {
+		this.validateTheme(theme);
+		this.theme = theme;
+		this.applyTheme();
+	}
+
+	/**
+	 * Sets the current theme's custom properties on the wrapper, replacing those of the previous theme,
+	 * and watches prefers-color-scheme while the theme is "auto".
+	 * @private
+	 */
+	applyTheme() {
+		if (this.theme === "auto" && !this.darkModeQuery) {
+			// matchMedia is missing in some embedded and test environments: fall back to light
+			if (typeof window.matchMedia === "function") {
+				this.darkModeQuery = window.matchMedia(
+					_TABLE_CONSTS.DARK_MODE_QUERY,
+				);
+				this.darkModeListener = () => this.applyTheme();
+				this.darkModeQuery.addEventListener?.(
+					"change",
+					this.darkModeListener,
+				);
+			}
+		} else if (this.theme !== "auto" && this.darkModeQuery) {
+			this.darkModeQuery.removeEventListener?.(
+				"change",
+				this.darkModeListener,
+			);
+			this.darkModeQuery = null;
+			this.darkModeListener = null;
+		}
+
+		if (!this.wrapper) return;
+		const resolved = this.getResolvedTheme();
+		const values = resolved ? _TABLE_CONSTS.THEMES[resolved] : this.theme;
+		this.themeVariables.forEach((name) =>
+			this.wrapper.style.removeProperty(name),
+		);
+		this.themeVariables = Object.entries(values).map(([key, value]) => {
+			const name = this.getThemeVariableName(key);
+			this.wrapper.style.setProperty(name, value);
+			return name;
+		});
+		// Native controls (inputs, selects, scrollbars) follow the theme too
+		this.wrapper.style.colorScheme = resolved === "dark" ? "dark" : "";
+		this.wrapper.dataset.theme = resolved || "custom";
+	}
+
 	/**
 	 * Calculates the minimum column width in pixels based on the configured minColumnWidth.
 	 * @returns {number} Minimum width in pixels
@@ -301,8 +886,15 @@ class DataTable {
 	 * @private
 	 */
 	init() {
+		// Defaults are kept so that URL mode only encodes what differs from them
+		this.defaultViewState = this.getViewState();
+		if (this.persistState) {
+			const savedState = this.loadSavedState();
+			if (savedState) this.applyViewState(savedState);
+		}
 		this.createTableStructure();
 		this.applyFiltersAndSort();
+		this.validateCurrentPage();
 		this.render();
 	}
 
@@ -314,21 +906,65 @@ class DataTable {
 		this.container.innerHTML = "";
 
 		// Create wrapper
-		const wrapper = this.createStyledElement("div", "wrapper", {});
-
-		// Create table container
-		const tableContainer = this.createStyledElement("div", "container");
-
-		const table = this.createStyledElement("table", "table");
+		const wrapper = this.createStyledElement("div", "wrapper", {
+			position: "relative", // Anchors the column menu
+			color: _TABLE_CONSTS.COLORS.TEXT,
+			backgroundColor: _TABLE_CONSTS.COLORS.BACKGROUND,
+		});
+		this.wrapper = wrapper;
+		this.applyTheme();
+
+		// Create table container (a fixed-height scroll viewport in virtual mode)
+		const containerStyles = {};
+		if (this.virtualScroll) {
+			containerStyles.height = this.viewportHeight;
+		} else if (this.stickyHeader) {
+			containerStyles.maxHeight = this.viewportHeight;
+		}
+		if (this.virtualScroll || this.stickyHeader) {
+			containerStyles.overflowY = "auto";
+			containerStyles.position = "relative";
+		}
+		// Pinned columns stick to the edges of this container, not the page
+		if (this.hasPinnedColumns()) {
+			containerStyles.overflowX = "auto";
+		}
+		const tableContainer = this.createStyledElement(
+			"div",
+			"container",
+			containerStyles,
+		);
 
-		// Create header
-		const thead = this.createStyledElement("thead", "thead");
+		// Fixed layout keeps column widths stable while rows are swapped in and out
+		const table = this.createStyledElement(
+			"table",
+			"table",
+			this.virtualScroll ? { tableLayout: "fixed", width: "100%" } : {},
+		);
+		table.setAttribute("role", "grid");
+		table.addEventListener("keydown", (e) => this.handleKeyDown(e));
+		table.addEventListener("focusin", (e) => this.handleFocusIn(e));
+
+		// Create header (kept visible at the top of the viewport in virtual mode)
+		const thead = this.createStyledElement(
+			"thead",
+			"thead",
+			this.virtualScroll || this.stickyHeader
+				? { position: "sticky", top: "0", zIndex: "2" } // Above pinned body cells
+				: {},
+		);
 
 		// Header row with column names, sort, and resize handles
 		const headerRow = this.createStyledElement("tr", "header-row", {
 			backgroundColor: _TABLE_CONSTS.COLORS.HEADER_BG,
 		});
-		this.columns.forEach((col, index) => {
+		headerRow.setAttribute("role", "row");
+		headerRow.setAttribute("aria-rowindex", "1");
+		this.getControlColumns().forEach((control) => {
+			headerRow.appendChild(this.createControlCell("header", control));
+		});
+		const headerCells = [];
+		this.getVisibleColumns().forEach((col, index) => {
 			const thStyles = {
 				position: "relative",
 				padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
@@ -345,6 +981,12 @@ class DataTable {
 			}
 
 			const th = this.createStyledElement("th", "header-cell", thStyles);
+			th.setAttribute("role", "columnheader");
+			th.setAttribute(
+				"aria-colindex",
+				String(this.getControlColumns().length + index + 1),
+			);
+			th.tabIndex = -1;
 
 			const headerContent = this.createStyledElement(
 				"div",
@@ -372,8 +1014,12 @@ class DataTable {
 			sortIcon.innerHTML = _TABLE_CONSTS.ICONS.sort;
 			headerContent.appendChild(sortIcon);
 
-			headerContent.onclick = () =>
-				this.handleSort(this.getColumnId(col));
+			// Shift-click adds the column as an additional sort key
+			headerContent.onclick = (e) =>
+				this.handleSort(this.getColumnId(col), e.shiftKey);
+			headerContent.onmousedown = (e) => {
+				if (e.shiftKey) e.preventDefault(); // Prevent text selection on shift-click
+			};
 
 			// Add resize handle
 			const resizeHandle = this.createStyledElement(
@@ -401,12 +1047,15 @@ class DataTable {
 				resizeHandle.style.borderRightColor = "transparent";
 			});
 
-			this.addResizeListener(resizeHandle, th, index);
+			this.addResizeListener(resizeHandle, th, col);
+			this.addColumnDragListeners(th, col);
 
 			th.appendChild(headerContent);
 			th.appendChild(resizeHandle);
 			headerRow.appendChild(th);
+			headerCells.push(th);
 		});
+		this.applyPinnedStyles(headerRow);
 		thead.appendChild(headerRow);
 
 		// Info row (conditional)
@@ -415,8 +1064,16 @@ class DataTable {
 				backgroundColor: _TABLE_CONSTS.COLORS.HEADER_BG,
 				borderTop: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
 			});
+			infoRow.setAttribute("role", "row");
+			infoRow.setAttribute(
+				"aria-rowindex",
+				String(thead.rows.length + 1),
+			);
+			this.getControlColumns().forEach((control) => {
+				infoRow.appendChild(this.createControlCell("info", control));
+			});
 
-			this.columns.forEach((col) => {
+			this.getVisibleColumns().forEach((col) => {
 				const tdStyles = {
 					padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
 					backgroundColor: _TABLE_CONSTS.COLORS.HEADER_BG,
@@ -434,9 +1091,11 @@ class DataTable {
 					"info-cell",
 					tdStyles,
 				);
+				td.setAttribute("role", "gridcell");
 				td.innerHTML = this.calculateColumnInfo(col);
 				infoRow.appendChild(td);
 			});
+			this.applyPinnedStyles(infoRow);
 			thead.appendChild(infoRow);
 			this.infoRow = infoRow;
 		}
@@ -447,8 +1106,18 @@ class DataTable {
 				backgroundColor: _TABLE_CONSTS.COLORS.FILTER_BG,
 				borderTop: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
 			});
+			filterRow.setAttribute("role", "row");
+			filterRow.setAttribute(
+				"aria-rowindex",
+				String(thead.rows.length + 1),
+			);
+			this.getControlColumns().forEach((control) => {
+				filterRow.appendChild(
+					this.createControlCell("filter", control),
+				);
+			});
 
-			this.columns.forEach((col) => {
+			this.getVisibleColumns().forEach((col) => {
 				const tdStyles = {
 					padding: _TABLE_CONSTS.SPACING.PADDING_FILTER,
 					backgroundColor: _TABLE_CONSTS.COLORS.FILTER_BG,
@@ -463,11 +1132,14 @@ class DataTable {
 					"filter-cell",
 					tdStyles,
 				);
+				td.setAttribute("role", "gridcell");
 
 				// Check if column is filterable
 				const isFilterable = col.filterable !== false;
 
-				if (isFilterable) {
+				if (isFilterable && col.filter === "facet") {
+					td.appendChild(this.createFacetFilter(col));
+				} else if (isFilterable) {
 					const filterContainer = this.createStyledElement(
 						"div",
 						"filter-container",
@@ -528,15 +1200,26 @@ class DataTable {
 					clearBtn.textContent = _TABLE_CONSTS.ICONS.clear;
 					clearBtn.title = _TABLE_CONSTS.MESSAGES.CLEAR_FILTER;
 
+					let filterTimeout = null;
 					input.addEventListener("input", (e) => {
-						this.handleFilter(
-							this.getColumnId(col),
-							col.key,
-							e.target.value,
-							col.type,
-							input,
-							col,
-						);
+						const apply = () =>
+							this.handleFilter(
+								this.getColumnId(col),
+								col.key,
+								e.target.value,
+								col.type,
+								input,
+								col,
+							);
+						if (this.filterDebounce > 0) {
+							clearTimeout(filterTimeout);
+							filterTimeout = setTimeout(
+								apply,
+								this.filterDebounce,
+							);
+						} else {
+							apply();
+						}
 					});
 
 					clearBtn.addEventListener("click", () => {
@@ -547,9 +1230,35 @@ class DataTable {
 					filterContainer.appendChild(input);
 					filterContainer.appendChild(clearBtn);
 					td.appendChild(filterContainer);
+
+					// Inline message for invalid filter expressions
+					const filterError = this.createStyledElement(
+						"div",
+						"filter-error",
+						{
+							display: "none",
+							color: _TABLE_CONSTS.COLORS.ERROR_TEXT,
+							fontSize: "0.8em",
+							fontWeight: "normal",
+							marginTop: "2px",
+							whiteSpace: "normal",
+						},
+					);
+					filterError.setAttribute("aria-live", "polite");
+					td.appendChild(filterError);
+
+					// Restore the filter when the structure is rebuilt (e.g. after reordering columns)
+					const activeFilter = this.filters[this.getColumnId(col)];
+					if (activeFilter) {
+						input.value = activeFilter.value;
+						if (!activeFilter.valid) {
+							this.setFilterError(input, activeFilter.error);
+						}
+					}
 				}
 				filterRow.appendChild(td);
 			});
+			this.applyPinnedStyles(filterRow);
 			thead.appendChild(filterRow);
 		}
 
@@ -557,11 +1266,55 @@ class DataTable {
 
 		// Create body
 		const tbody = this.createStyledElement("tbody", "tbody");
+		tbody.addEventListener("click", (e) => this.handleBodyClick(e));
+		tbody.addEventListener("dblclick", (e) => {
+			const td = e.target.closest(`.${this.cssClass("data-cell")}`);
+			if (!td || this.editing?.td === td) return;
+			this.editCell(
+				td.parentNode._tablejsIndex,
+				td.cellIndex - this.getControlColumns().length,
+			);
+		});
 		table.appendChild(tbody);
 
+		// Summary footer, for columns with an aggregate
+		this.summaryRow = null;
+		if (this.getVisibleColumns().some((col) => col.aggregate)) {
+			const tfoot = this.createStyledElement("tfoot", "tfoot");
+			const summaryRow = this.createStyledElement("tr", "summary-row", {
+				backgroundColor: _TABLE_CONSTS.COLORS.FOOTER_BG,
+				fontWeight: "bold",
+			});
+			summaryRow.setAttribute("role", "row");
+			this.getControlColumns().forEach((control) => {
+				summaryRow.appendChild(this.createControlCell("info", control));
+			});
+			this.getVisibleColumns().forEach((col) => {
+				const td = this.createStyledElement("td", "summary-cell", {
+					padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
+					borderTop: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+					textAlign:
+						col.align || (col.type === "number" ? "right" : ""),
+					whiteSpace: "nowrap",
+				});
+				td.setAttribute("role", "gridcell");
+				summaryRow.appendChild(td);
+			});
+			this.applyPinnedStyles(summaryRow);
+			tfoot.appendChild(summaryRow);
+			table.appendChild(tfoot);
+			this.summaryRow = summaryRow;
+		}
+
 		tableContainer.appendChild(table);
 		wrapper.appendChild(tableContainer);
 
+		if (this.virtualScroll) {
+			tableContainer.addEventListener("scroll", () =>
+				this.scheduleVirtualRender(),
+			);
+		}
+
 		// Create bottom pagination with page size selector
 		const paginationBottom = this.createStyledElement(
 			"div",
@@ -574,30 +1327,226 @@ class DataTable {
 		);
 		wrapper.appendChild(paginationBottom);
 
+		// Column chooser, opened from the footer
+		const columnMenu = this.createStyledElement("div", "column-menu", {
+			display: "none",
+			position: "absolute",
+			left: _TABLE_CONSTS.SPACING.PADDING_CELL,
+			zIndex: "2",
+			maxHeight: "300px",
+			overflowY: "auto",
+			backgroundColor: _TABLE_CONSTS.COLORS.BODY_BG,
+			border: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			borderRadius: "4px",
+			boxShadow: "0 2px 8px rgba(0, 0, 0, 0.15)",
+			padding: "4px 0",
+		});
+		columnMenu.setAttribute("role", "menu");
+		wrapper.appendChild(columnMenu);
+
+		// Value list for facet filters, opened from the filter row
+		const facetMenu = this.createStyledElement("div", "facet-menu", {
+			display: "none",
+			position: "absolute",
+			zIndex: "3", // Above the sticky header
+			minWidth: "180px",
+			backgroundColor: _TABLE_CONSTS.COLORS.BODY_BG,
+			border: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			borderRadius: "4px",
+			boxShadow: "0 2px 8px rgba(0, 0, 0, 0.15)",
+			padding: "4px 0",
+			fontWeight: "normal",
+		});
+		facetMenu.setAttribute("role", "dialog");
+		facetMenu.addEventListener("keydown", (e) => {
+			if (e.key === "Escape") {
+				e.preventDefault();
+				const columnId = this.facetMenuColumnId;
+				this.closeFacetMenu();
+				this.getFacetButton(columnId)?.focus();
+			}
+		});
+		wrapper.appendChild(facetMenu);
+
 		this.container.appendChild(wrapper);
 
 		// Store references
+		this.tableElement = table;
+		this.tableContainer = tableContainer;
+		this.thead = thead;
 		this.tbody = tbody;
+		this.virtualRowPool = [];
 		this.paginationBottom = paginationBottom;
 		this.headerRow = headerRow;
+		this.headerCells = headerCells;
+		this.columnMenu = columnMenu;
+		this.facetMenu = facetMenu;
+		if (this.facetMenuColumnId !== null) {
+			// The structure was rebuilt under the open dropdown
+			this.closeFacetMenu();
+		}
 
 		// Store table reference on container for button access
 		this.container.table = this;
 	}
 
+	/**
+	 * Emits cellClick and rowClick events for clicks on data rows.
+	 * Clicks in control cells (checkboxes, toggles) and open editors are ignored.
+	 * @param {MouseEvent} e - Click event
+	 * @private
+	 */
+	handleBodyClick(e) {
+		const tr = e.target.closest("tr");
+		// Rows of a table nested in a detail row belong to that table
+		if (!tr || tr.parentNode !== this.tbody || !tr._tablejsRow) return;
+		if (e.target.closest(`.${this.cssClass("control-cell")}`)) return;
+		if (this.editing && this.editing.td.contains(e.target)) return;
+		const td = e.target.closest(`.${this.cssClass("data-cell")}`);
+
+		const row = tr._tablejsRow;
+		const index = tr._tablejsIndex;
+		if (td) {
+			const col =
+				this.getVisibleColumns()[
+					td.cellIndex - this.getControlColumns().length
+				];
+			this.emit("cellClick", {
+				row,
+				index,
+				columnId: this.getColumnId(col),
+				value: this.getCellValue(row, col),
+				originalEvent: e,
+			});
+		}
+		this.emit("rowClick", { row, index, originalEvent: e });
+	}
+
+	/**
+	 * Gets the utility columns shown before the data columns.
+	 * @returns {Array<'select'|'detail'>} Control column names, in display order
+	 * @private
+	 */
+	getControlColumns() {
+		const controls = [];
+		if (this.selectable) controls.push("select");
+		if (this.detailRenderer) controls.push("detail");
+		return controls;
+	}
+
+	/**
+	 * Gets the total number of rendered columns, including control columns.
+	 * @returns {number} Column count (for colSpan)
+	 * @private
+	 */
+	getColumnCount() {
+		return (
+			this.getVisibleColumns().length + this.getControlColumns().length
+		);
+	}
+
+	/**
+	 * Creates a cell for a control column in the given kind of row.
+	 * @param {'header'|'info'|'filter'|'data'|'group'} rowType - Kind of row the cell belongs to
+	 * @param {'select'|'detail'} control - Control column name
+	 * @returns {HTMLTableCellElement} Control cell
+	 * @private
+	 */
+	createControlCell(rowType, control) {
+		const styles = {
+			width: "2em",
+			padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
+			textAlign: "center",
+		};
+		if (rowType === "header" || rowType === "data") {
+			styles.borderBottom = `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`;
+		}
+		const cell = this.createStyledElement(
+			rowType === "header" ? "th" : "td",
+			"control-cell",
+			styles,
+		);
+		cell.setAttribute(
+			"role",
+			rowType === "header" ? "columnheader" : "gridcell",
+		);
+
+		if (control === "select") {
+			if (rowType === "data") {
+				const checkbox = this.createStyledElement(
+					"input",
+					"select-checkbox",
+					{ cursor: "pointer" },
+				);
+				checkbox.type = "checkbox";
+				checkbox.tabIndex = -1; // Rows are selected from the keyboard with Space
+				checkbox.setAttribute(
+					"aria-label",
+					_TABLE_CONSTS.MESSAGES.SELECT_ROW,
+				);
+				checkbox.addEventListener("click", (e) => {
+					// The checked state is reset from the selection after toggling
+					this.toggleRowSelection(
+						cell.parentNode._tablejsRow,
+						e.shiftKey,
+					);
+				});
+				cell.appendChild(checkbox);
+			} else if (rowType === "header" && this.selectable === "multi") {
+				const checkbox = this.createStyledElement(
+					"input",
+					"select-all-checkbox",
+					{ cursor: "pointer" },
+				);
+				checkbox.type = "checkbox";
+				checkbox.title = _TABLE_CONSTS.MESSAGES.SELECT_ALL;
+				checkbox.addEventListener("click", () => {
+					this.toggleSelectAllFiltered();
+				});
+				cell.appendChild(checkbox);
+				this.selectAllCheckbox = checkbox;
+			}
+		} else if (control === "detail" && rowType === "data") {
+			const toggle = this.createStyledElement("button", "detail-toggle", {
+				border: "none",
+				background: "none",
+				cursor: "pointer",
+				padding: "0",
+				font: "inherit",
+			});
+			toggle.tabIndex = -1; // Rows are expanded from the keyboard with +/-
+			toggle.addEventListener("click", () => {
+				const row = cell.parentNode._tablejsRow;
+				this.toggleRowDetail(row);
+				// The row was re-rendered, so move focus to its new toggle
+				for (const tr of this.tbody.rows) {
+					if (tr._tablejsRow === row) {
+						tr.querySelector(
+							`.${this.cssClass("detail-toggle")}`,
+						).focus();
+					}
+				}
+			});
+			cell.appendChild(toggle);
+		}
+
+		return cell;
+	}
+
 	/**
 	 * Adds mouse event listeners for column resize functionality.
 	 * @param {HTMLElement} handle - Resize handle element
 	 * @param {HTMLElement} th - Table header cell element
-	 * @param {number} columnIndex - Index of the column being resized
+	 * @param {ColumnConfig} col - Column being resized
 	 * @private
 	 */
-	addResizeListener(handle, th, columnIndex) {
+	addResizeListener(handle, th, col) {
 		let startX, startWidth;
 
 		handle.addEventListener("mousedown", (e) => {
 			e.preventDefault(); // Prevent text selection
 			e.stopPropagation(); // Prevent header click events
+			this.resizingColumn = true;
 			startX = e.clientX;
 			startWidth = parseInt(
 				document.defaultView.getComputedStyle(th).width,
@@ -616,10 +1565,13 @@ class DataTable {
 			th.style.width = width + "px";
 			th.style.minWidth = width + "px"; // Must update minWidth to allow shrinking below current size
 			// Update column width in config
-			this.columns[columnIndex].width = width + "px";
+			col.width = width + "px";
+			this.updatePinnedOffsets();
 		};
 
 		const stopDrag = () => {
+			this.resizingColumn = false;
+			this.scheduleSaveState();
 			document.body.style.cursor = ""; // Reset cursor
 			document.body.style.userSelect = ""; // Reset text selection
 			document.removeEventListener("mousemove", doDrag);
@@ -628,847 +1580,5172 @@ class DataTable {
 	}
 
 	/**
-	 * Handles column header click to cycle through sort states (asc -> desc -> none).
-	 * @param {string} columnId - ID of the column to sort
+	 * Makes a header cell draggable so its column can be dropped before or after another column.
+	 * @param {HTMLTableCellElement} th - Table header cell element
+	 * @param {ColumnConfig} col - Column the header belongs to
+	 * @private
 	 */
-	handleSort(columnId) {
-		if (this.sortColumnId === columnId) {
-			// Cycle through: asc -> desc -> none
-			if (this.sortDirection === "asc") {
-				this.sortDirection = "desc";
-			} else if (this.sortDirection === "desc") {
-				this.sortColumnId = null;
-				this.sortDirection = null;
+	addColumnDragListeners(th, col) {
+		const columnId = this.getColumnId(col);
+		th.draggable = true;
+
+		// Drop on the left or right half of the target header
+		const isDropAfter = (e) => {
+			const rect = th.getBoundingClientRect();
+			return e.clientX > rect.left + rect.width / 2;
+		};
+
+		th.addEventListener("dragstart", (e) => {
+			if (this.resizingColumn) {
+				e.preventDefault();
+				return;
 			}
-		} else {
-			this.sortColumnId = columnId;
-			this.sortDirection = "asc";
-		}
+			this.draggedColumnId = columnId;
+			if (e.dataTransfer) {
+				e.dataTransfer.effectAllowed = "move";
+				e.dataTransfer.setData("text/plain", columnId); // Some browsers only start a drag with data set
+			}
+			th.style.opacity = "0.5";
+		});
 
-		this.applyFiltersAndSort();
-		this.render();
-	}
+		th.addEventListener("dragover", (e) => {
+			if (
+				this.draggedColumnId === null ||
+				this.draggedColumnId === columnId
+			) {
+				return;
+			}
+			e.preventDefault(); // Allow dropping
+			if (e.dataTransfer) e.dataTransfer.dropEffect = "move";
+			th.style.boxShadow = `inset ${isDropAfter(e) ? "-3px" : "3px"} 0 0 ${_TABLE_CONSTS.COLORS.DROP_INDICATOR}`;
+		});
 
-	/**
-	 * Parses a numeric filter string into operator and value.
-	 * @param {string} value - Filter string (e.g., '>50', '<=100', '42')
-	 * @returns {NumericFilter|null} Parsed filter object, or null if invalid
-	 */
-	parseNumericFilter(value) {
-		const trimmed = value.trim();
-		if (!trimmed) return null;
+		th.addEventListener("dragleave", () => {
+			th.style.boxShadow = "";
+		});
 
-		const match = trimmed.match(/^(==|!=|>=|<=|>|<)?\s*(-?\d+\.?\d*)$/);
-		if (!match) return null;
+		th.addEventListener("drop", (e) => {
+			e.preventDefault();
+			th.style.boxShadow = "";
+			const draggedId = this.draggedColumnId;
+			// The dragged header is discarded by the rebuild, so dragend may never fire
+			this.draggedColumnId = null;
+			if (draggedId === null || draggedId === columnId) return;
 
-		const operator = match[1] || "==";
-		const number = parseFloat(match[2]);
+			const remaining = this.columns.filter(
+				(c) => this.getColumnId(c) !== draggedId,
+			);
+			const targetIndex = remaining.findIndex(
+				(c) => this.getColumnId(c) === columnId,
+			);
+			this.moveColumn(draggedId, targetIndex + (isDropAfter(e) ? 1 : 0));
+		});
 
-		if (isNaN(number)) return null;
+		th.addEventListener("dragend", () => {
+			th.style.opacity = "";
+			this.draggedColumnId = null;
+		});
+	}
 
-		return { operator, value: number };
+	/**
+	 * Gets the columns that are currently shown, in display order.
+	 * @returns {Array<ColumnConfig>} Visible column configurations
+	 */
+	getVisibleColumns() {
+		const visible = this.columns.filter((col) => !col.hidden);
+		if (!this.hasPinnedColumns()) return visible;
+		// Pinned columns are shown at their edge, keeping their relative order
+		return [
+			...visible.filter((col) => col.pinned === "left"),
+			...visible.filter(
+				(col) => col.pinned !== "left" && col.pinned !== "right",
+			),
+			...visible.filter((col) => col.pinned === "right"),
+		];
 	}
 
 	/**
-	 * Applies a numeric filter comparison to a cell value.
-	 * @param {*} cellValue - Cell value to test
-	 * @param {NumericFilter} filter - Parsed numeric filter
-	 * @returns {boolean} True if value passes the filter
+	 * Checks whether any visible column is pinned.
+	 * @returns {boolean} True if at least one visible column is pinned
+	 * @private
 	 */
-	applyNumericFilter(cellValue, filter) {
-		if (!filter) return true;
+	hasPinnedColumns() {
+		return this.columns.some(
+			(col) =>
+				!col.hidden &&
+				(col.pinned === "left" || col.pinned === "right"),
+		);
+	}
 
-		const value = parseFloat(cellValue);
-		if (isNaN(value)) return false;
+	/**
+	 * Gets the edge each rendered cell position is pinned to, control columns included.
+	 * Control columns are pinned along with left-pinned columns so they stay in front of them.
+	 * @returns {Array<'left'|'right'|null>} Pinned edge by cell index
+	 * @private
+	 */
+	getPinnedLayout() {
+		const columns = this.getVisibleColumns();
+		const hasLeft = columns.some((col) => col.pinned === "left");
+		return [
+			...this.getControlColumns().map(() => (hasLeft ? "left" : null)),
+			...columns.map((col) =>
+				col.pinned === "left" || col.pinned === "right"
+					? col.pinned
+					: null,
+			),
+		];
+	}
 
-		switch (filter.operator) {
-			case "==":
-				return value === filter.value;
-			case "!=":
-				return value !== filter.value;
-			case ">":
-				return value > filter.value;
-			case "<":
-				return value < filter.value;
-			case ">=":
-				return value >= filter.value;
-			case "<=":
-				return value <= filter.value;
-			default:
-				return true;
-		}
+	/**
+	 * Makes the pinned cells of a row sticky. Offsets come from CSS variables on the
+	 * table set by updatePinnedOffsets(), so rows can be styled before they are measured.
+	 * Rows with spanning cells (e.g. the empty message) are left alone.
+	 * @param {HTMLTableRowElement} tr - Row with one cell per rendered column
+	 * @private
+	 */
+	applyPinnedStyles(tr) {
+		const layout = this.getPinnedLayout();
+		if (!layout.some(Boolean) || tr.cells.length !== layout.length) return;
+
+		const border = `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`;
+		layout.forEach((side, index) => {
+			if (!side) return;
+			const cell = tr.cells[index];
+			cell.classList.add(this.cssClass("pinned-cell"));
+			cell.style.position = "sticky";
+			cell.style[side] =
+				`var(--${_TABLE_CONSTS.CSS_PREFIX}pin-${index}, 0px)`;
+			cell.style.zIndex = "1";
+			cell.style.backgroundColor = "inherit"; // Cover the cells scrolling underneath
+			// Separate the pinned area from the scrolling columns
+			if (side === "left" && layout[index + 1] !== "left") {
+				cell.style.borderRight = border;
+			} else if (side === "right" && layout[index - 1] !== "right") {
+				cell.style.borderLeft = border;
+			}
+		});
 	}
 
 	/**
-	 * Gets the filter tooltip text for a column.
-	 * @param {ColumnConfig} col - Column configuration
-	 * @returns {string} Tooltip text explaining filter syntax
+	 * Measures the header cells and updates the offsets of pinned cells.
+	 * Called after rendering and while a column is resized.
+	 * @private
 	 */
-	getFilterTooltip(col) {
-		// Check for custom tooltip in column definition
-		if (col.filterTooltip) {
-			return col.filterTooltip;
-		}
+	updatePinnedOffsets() {
+		if (!this.tableElement || !this.hasPinnedColumns()) return;
+		const layout = this.getPinnedLayout();
+		const cells = this.headerRow.cells;
+		const setOffset = (index, offset) =>
+			this.tableElement.style.setProperty(
+				`--${_TABLE_CONSTS.CSS_PREFIX}pin-${index}`,
+				`${offset}px`,
+			);
 
-		// Default tooltips based on type
-		if (col.type === "number") {
-			return _TABLE_CONSTS.FILTER_TOOLTIPS.NUMBER;
+		let left = 0;
+		for (let index = 0; index < layout.length; index++) {
+			if (layout[index] !== "left") continue;
+			setOffset(index, left);
+			left += cells[index].offsetWidth;
+		}
+		let right = 0;
+		for (let index = layout.length - 1; index >= 0; index--) {
+			if (layout[index] !== "right") continue;
+			setOffset(index, right);
+			right += cells[index].offsetWidth;
 		}
-		return _TABLE_CONSTS.FILTER_TOOLTIPS.DEFAULT;
 	}
 
 	/**
-	 * Calculates statistics or summary info for a column.
-	 * For number columns: shows range, mean, and median.
-	 * For other types: shows unique value count.
-	 * @param {ColumnConfig} col - Column configuration
-	 * @returns {string} HTML string with column statistics
+	 * Pins a column to the left or right edge, or unpins it, and rebuilds the table.
+	 * @param {string} columnId - Column identifier
+	 * @param {'left'|'right'|null} side - Edge to pin the column to, or null to unpin
+	 * @throws {Error} If the column is not found or the side is invalid
 	 */
-	calculateColumnInfo(col) {
-		// Check for custom info function in column definition
-		if (col.infoFunction) {
-			const columnData = this.data
-				.map((row) => row[col.key])
-				.filter((val) => val !== null && val !== undefined);
-			const result = col.infoFunction(columnData, col);
-			return typeof result === "string" ? result : result.outerHTML || "";
-		}
-
-		// Default statistical calculations
-		const columnData = this.data
-			.map((row) => row[col.key])
-			.filter((val) => val !== null && val !== undefined);
-
-		if (columnData.length === 0) {
-			return "No data";
+	setColumnPinned(columnId, side) {
+		const col = this.getColumnById(columnId);
+		if (side !== null && side !== "left" && side !== "right") {
+			throw new Error(`Invalid pinned side: ${side}`);
 		}
-
-		if (col.type === "number") {
-			const numbers = columnData.filter((val) => typeof val === "number");
-			if (numbers.length === 0) return "No numeric data";
-
-			const min = Math.min(...numbers);
-			const max = Math.max(...numbers);
-			const sum = numbers.reduce((a, b) => a + b, 0);
-			const mean = sum / numbers.length;
-
-			// Calculate median
-			const sorted = [...numbers].sort((a, b) => a - b);
-			const median =
-				sorted.length % 2 === 0
-					? (sorted[sorted.length / 2 - 1] +
-							sorted[sorted.length / 2]) /
-						2
-					: sorted[Math.floor(sorted.length / 2)];
-
-			return `R=[${min.toLocaleString()}, ${max.toLocaleString()}] μ=${mean.toFixed(1)} x̃=${median.toLocaleString()}`;
+		if ((col.pinned || null) === side) return;
+		if (side) {
+			col.pinned = side;
 		} else {
-			// For string/other types, show unique count
-			const uniqueValues = new Set(columnData.map((val) => String(val)));
-			const count = uniqueValues.size;
-			return `${count} unique value${count === 1 ? "" : "s"}`;
+			delete col.pinned;
 		}
+		this.refreshColumns();
 	}
 
 	/**
-	 * Handles filter input changes for a column.
+	 * Finds a column configuration by its identifier.
 	 * @param {string} columnId - Column identifier
-	 * @param {string} columnKey - Column key for data access
-	 * @param {string} filterValue - Raw filter input value
-	 * @param {string} type - Column data type
-	 * @param {HTMLInputElement} inputElement - Filter input element
-	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {ColumnConfig} Column configuration
+	 * @throws {Error} If no column has the given identifier
+	 * @private
 	 */
-	handleFilter(columnId, columnKey, filterValue, type, inputElement, col) {
-		if (!filterValue) {
-			delete this.filters[columnId];
-			inputElement.style.backgroundColor = "";
-		} else {
-			let isValid = true;
-			let customFilter = null;
-
-			// col is already passed in
-			if (col?.filterFunction) {
-				try {
-					customFilter = col.filterFunction(filterValue);
-					// If custom function returns null, fall back to default
-					if (customFilter === null) {
-						customFilter = null;
-						if (type === "number") {
-							const numFilter =
-								this.parseNumericFilter(filterValue);
-							isValid = numFilter !== null;
-						}
-					} else {
-						isValid = typeof customFilter === "function";
-					}
-				} catch (e) {
-					isValid = false;
-				}
-			} else if (type === "number") {
-				const numFilter = this.parseNumericFilter(filterValue);
-				isValid = numFilter !== null;
-			}
+	getColumnById(columnId) {
+		const col = this.columns.find((c) => this.getColumnId(c) === columnId);
+		if (!col) {
+			throw new Error(`Unknown column: ${columnId}`);
+		}
+		return col;
+	}
 
-			this.filters[columnId] = {
-				key: columnKey, // Store the key for data access
-				value: filterValue,
-				type: type,
-				valid: isValid,
-				customFilter: customFilter,
-			};
+	/**
+	 * Moves a column to a new position and rebuilds the table.
+	 * @param {string} columnId - Column identifier
+	 * @param {number} toIndex - Target position in the full column order (hidden columns included)
+	 * @throws {Error} If the column is not found
+	 */
+	moveColumn(columnId, toIndex) {
+		const col = this.getColumnById(columnId);
+		const from = this.columns.indexOf(col);
+		this.columns.splice(from, 1);
+		toIndex = Math.max(0, Math.min(this.columns.length, toIndex));
+		this.columns.splice(toIndex, 0, col);
+		if (from !== toIndex) {
+			this.refreshColumns();
+		}
+	}
 
-			inputElement.style.backgroundColor = isValid
-				? ""
-				: _TABLE_CONSTS.COLORS.ERROR_BG;
+	/**
+	 * Shows or hides a column. Filters on hidden columns stay active.
+	 * @param {string} columnId - Column identifier
+	 * @param {boolean} visible - Whether the column should be shown
+	 * @throws {Error} If the column is not found, or if hiding it would leave no visible columns
+	 */
+	setColumnVisibility(columnId, visible) {
+		const col = this.getColumnById(columnId);
+		if (!col.hidden === visible) return;
+		if (!visible && this.getVisibleColumns().length === 1) {
+			throw new Error("Cannot hide the last visible column");
 		}
+		col.hidden = !visible;
+		this.refreshColumns();
+	}
 
-		this.currentPage = 1;
-		this.applyFiltersAndSort();
-		this.validateCurrentPage();
-		this.render();
+	/**
+	 * Gets the column layout (order, visibility, and widths) for saving.
+	 * @returns {Array<ColumnState>} Column states in display order
+	 */
+	getColumnState() {
+		return this.columns.map((col) => ({
+			id: this.getColumnId(col),
+			hidden: Boolean(col.hidden),
+			width: col.width || null,
+			...(col.pinned ? { pinned: col.pinned } : {}),
+		}));
 	}
 
 	/**
-	 * Clears the filter for a single column.
-	 * @param {string} columnId - Column identifier
-	 * @param {HTMLInputElement} inputElement - Filter input element
+	 * Restores a column layout saved with getColumnState().
+	 * Entries for unknown columns are ignored, and columns missing from the state keep
+	 * their relative order after the restored ones, so layouts survive column changes.
+	 * @param {Array<ColumnState>} state - Column states in display order
+	 * @throws {Error} If state is not an array
 	 */
-	clearFilter(columnId, inputElement) {
-		inputElement.value = "";
-		delete this.filters[columnId];
-		inputElement.style.backgroundColor = "";
-		this.currentPage = 1;
-		this.applyFiltersAndSort();
-		this.validateCurrentPage();
-		this.render();
+	setColumnState(state) {
+		if (!Array.isArray(state)) {
+			throw new Error("Column state must be an array");
+		}
+		const remaining = new Map(
+			this.columns.map((col) => [this.getColumnId(col), col]),
+		);
+		const ordered = [];
+		state.forEach((entry) => {
+			const col = remaining.get(entry?.id);
+			if (!col) return;
+			remaining.delete(entry.id);
+			if ("hidden" in entry) col.hidden = Boolean(entry.hidden);
+			if (entry.pinned === "left" || entry.pinned === "right") {
+				col.pinned = entry.pinned;
+			} else if ("pinned" in entry) {
+				delete col.pinned;
+			}
+			if (entry.width) {
+				col.width = entry.width;
+			} else if ("width" in entry) {
+				delete col.width;
+			}
+			ordered.push(col);
+		});
+		this.columns = ordered.concat(Array.from(remaining.values()));
+		if (this.columns.length > 0 && this.getVisibleColumns().length === 0) {
+			this.columns[0].hidden = false;
+		}
+		this.refreshColumns();
 	}
 
 	/**
-	 * Applies all active filters and sorting to the data.
-	 * Updates this.filteredData with the result.
+	 * Rebuilds the table structure after the column layout changed, keeping
+	 * filters, sorting, selection, keyboard focus, and the column menu.
+	 * @private
 	 */
-	applyFiltersAndSort() {
-		// Start with all data
-		let filtered = [...this.data];
+	refreshColumns() {
+		const hadCellFocus = this.isGridCell(document.activeElement);
+		const focusedCol = this.focusedCell
+			? this.getVisibleColumns()[this.focusedCell.col]
+			: null;
+		const scrollTop = this.tableContainer.scrollTop;
 
-		filtered = filtered.filter((row) => {
-			for (const [columnId, filter] of Object.entries(this.filters)) {
-				if (!filter.valid) continue;
+		this.createTableStructure();
 
-				// Get cellValue using the stored key (supports nested keys)
-				const cellValue = this.getNestedValue(row, filter.key);
+		if (this.focusedCell) {
+			const col = this.getVisibleColumns().indexOf(focusedCol);
+			this.focusedCell.col =
+				col === -1
+					? Math.min(
+							this.focusedCell.col,
+							this.getVisibleColumns().length - 1,
+						)
+					: col;
+		}
+		this.tableContainer.scrollTop = scrollTop;
+		this.render();
+		this.syncFocusedCell(hadCellFocus);
+		if (this.columnMenuOpen) {
+			this.openColumnMenu();
+		}
+	}
 
-				// Apply custom filter if available
-				if (filter.customFilter) {
-					try {
-						if (!filter.customFilter(cellValue)) {
-							return false;
-						}
-					} catch (e) {
-						// If custom filter fails, treat as no match
-						return false;
-					}
-				} else if (filter.type === "number") {
-					const numFilter = this.parseNumericFilter(filter.value);
-					if (
-						numFilter &&
-						!this.applyNumericFilter(cellValue, numFilter)
-					) {
-						return false;
-					}
-				} else {
-					if (cellValue === null || cellValue === undefined)
-						return false;
-					const strValue = String(cellValue).toLowerCase();
-					const filterStr = filter.value.toLowerCase();
-
-					if (filterStr.includes("*")) {
-						const regex = new RegExp(
-							"^" + filterStr.replace(/\*/g, ".*") + "$",
-						);
-						if (!regex.test(strValue)) return false;
-					} else {
-						if (!strValue.includes(filterStr)) return false;
-					}
-				}
-			}
-			return true;
-		});
+	/**
+	 * Opens the column chooser above the footer.
+	 * Clicking outside the menu closes it.
+	 */
+	openColumnMenu() {
+		const menu = this.columnMenu;
+		menu.innerHTML = "";
+		const visibleCount = this.getVisibleColumns().length;
+
+		this.columns.forEach((col) => {
+			const item = this.createStyledElement("label", "column-menu-item", {
+				display: "flex",
+				alignItems: "center",
+				gap: "6px",
+				padding: "4px 12px",
+				cursor: "pointer",
+				whiteSpace: "nowrap",
+			});
+			item.setAttribute("role", "menuitemcheckbox");
+			item.setAttribute("aria-checked", String(!col.hidden));
 
-		// Apply sorting
-		if (this.sortColumnId) {
-			// Find the column config for custom sort function
-			const columnConfig = this.columns.find(
-				(col) => this.getColumnId(col) === this.sortColumnId,
+			const checkbox = this.createStyledElement(
+				"input",
+				"column-menu-checkbox",
+				{},
 			);
-			const sortFunction = columnConfig?.sortFunction;
-
-			filtered.sort((a, b) => {
-				// Get values using nested key support (use column's key, not id)
-				let aVal = this.getNestedValue(a, columnConfig.key);
-				let bVal = this.getNestedValue(b, columnConfig.key);
+			checkbox.type = "checkbox";
+			checkbox.checked = !col.hidden;
+			checkbox.dataset.columnId = this.getColumnId(col);
+			// At least one column must stay visible
+			checkbox.disabled = !col.hidden && visibleCount === 1;
+			checkbox.addEventListener("change", () => {
+				this.setColumnVisibility(
+					this.getColumnId(col),
+					checkbox.checked,
+				);
+			});
 
-				// Apply custom sort function if provided
-				if (sortFunction) {
-					aVal = sortFunction(aVal, a);
-					bVal = sortFunction(bVal, b);
-				}
+			item.appendChild(checkbox);
+			item.appendChild(document.createTextNode(col.label || col.key));
+			menu.appendChild(item);
+		});
 
-				// Handle nulls
-				if (aVal === null || aVal === undefined) return 1;
-				if (bVal === null || bVal === undefined) return -1;
+		menu.style.bottom = this.paginationBottom.offsetHeight + "px";
+		menu.style.display = "block";
+		this.columnMenuOpen = true;
 
-				let comparison = 0;
-				if (typeof aVal === "number" && typeof bVal === "number") {
-					comparison = aVal - bVal;
-				} else {
-					comparison = String(aVal).localeCompare(String(bVal));
+		if (!this.columnMenuCloseHandler) {
+			this.columnMenuCloseHandler = (e) => {
+				const toggle = this.paginationBottom.querySelector(
+					`.${this.cssClass("columns-btn")}`,
+				);
+				if (
+					this.columnMenu.contains(e.target) ||
+					(toggle && toggle.contains(e.target))
+				) {
+					return;
 				}
-
-				return this.sortDirection === "desc" ? -comparison : comparison;
-			});
+				this.closeColumnMenu();
+			};
+			document.addEventListener("mousedown", this.columnMenuCloseHandler);
 		}
+	}
 
-		this.filteredData = filtered;
+	/**
+	 * Closes the column chooser.
+	 */
+	closeColumnMenu() {
+		this.columnMenu.style.display = "none";
+		this.columnMenuOpen = false;
+		if (this.columnMenuCloseHandler) {
+			document.removeEventListener(
+				"mousedown",
+				this.columnMenuCloseHandler,
+			);
+			this.columnMenuCloseHandler = null;
+		}
 	}
 
 	/**
-	 * Gets the data rows for the current page.
-	 * @returns {Array<Object>} Array of row objects for the current page
+	 * Gets the number of rows in the table header (header, info, and filter rows).
+	 * @returns {number} Header row count
+	 * @private
 	 */
-	getPageData() {
-		const start = (this.currentPage - 1) * this.pageSize;
-		const end = start + this.pageSize;
-		return this.filteredData.slice(start, end);
+	getHeaderRowCount() {
+		return 1 + (this.showInfo ? 1 : 0) + (this.showFilters ? 1 : 0);
 	}
 
 	/**
-	 * Calculates the total number of pages based on filtered data and page size.
-	 * @returns {number} Total page count
+	 * Checks whether an element is a keyboard-navigable cell of this table.
+	 * @param {Element|null} element - Element to check
+	 * @returns {boolean} True for header cells and data cells
+	 * @private
 	 */
-	getTotalPages() {
-		return Math.ceil(this.filteredData.length / this.pageSize);
+	isGridCell(element) {
+		if (!element || !this.tableElement.contains(element)) return false;
+		return (
+			this.headerCells.includes(element) ||
+			element.classList.contains(this.cssClass("data-cell"))
+		);
 	}
 
 	/**
-	 * Validates and adjusts currentPage to be within valid bounds.
+	 * Gets the rendered cell element for a grid position.
+	 * @param {number} row - Index into filteredData, or -1 for the header row
+	 * @param {number} col - Index into getVisibleColumns()
+	 * @returns {HTMLTableCellElement|null} Cell element, or null if the row is not rendered
 	 * @private
 	 */
-	validateCurrentPage() {
-		const totalPages = this.getTotalPages();
-		if (this.currentPage > totalPages && totalPages > 0) {
-			this.currentPage = totalPages;
-		} else if (this.currentPage < 1) {
-			this.currentPage = 1;
+	getCellElement(row, col) {
+		if (row === -1) return this.headerCells[col] || null;
+		const offset = this.getControlColumns().length;
+		for (const tr of this.tbody.rows) {
+			if (tr._tablejsIndex === row) return tr.cells[offset + col];
 		}
+		return null;
 	}
 
 	/**
-	 * Renders the complete table including data rows, pagination, and icons.
+	 * Tracks the focused cell when a cell is focused by mouse or script.
+	 * @param {FocusEvent} e - Focus event
+	 * @private
 	 */
-	render() {
-		this.renderTable();
-		this.renderPagination();
-		this.updateSortIcons();
-		this.updateInfoRow();
+	handleFocusIn(e) {
+		const cell = e.target;
+		if (!this.isGridCell(cell)) return;
+		const offset = this.getControlColumns().length;
+		const row = this.headerCells.includes(cell)
+			? -1
+			: cell.parentNode._tablejsIndex;
+		this.focusedCell = { row, col: cell.cellIndex - offset };
+		this.syncFocusedCell(false);
 	}
 
 	/**
-	 * Updates the sort indicator icons in column headers.
+	 * Makes the focused cell the only tabbable cell (roving tabindex), optionally focusing it.
+	 * Falls back to the first header cell when no cell has been focused yet.
+	 * @param {boolean} [moveFocus=false] - Also move DOM focus to the cell
 	 * @private
 	 */
-	updateSortIcons() {
-		const headers = this.headerRow.querySelectorAll("th");
-		headers.forEach((th, index) => {
-			const col = this.columns[index];
-			const sortIcon = th.querySelector(`.${this.cssClass("sort-icon")}`);
-			if (!sortIcon) return;
+	syncFocusedCell(moveFocus = false) {
+		this.tableElement
+			.querySelectorAll('[tabindex="0"]')
+			.forEach((el) => (el.tabIndex = -1));
+
+		const { row, col } = this.focusedCell || { row: -1, col: 0 };
+		const target = this.getCellElement(row, col);
+		const cell = target || this.headerCells[0];
+		if (!cell) return;
+		cell.tabIndex = 0;
+		// Never pull focus to the fallback cell if the focused row is no longer rendered
+		if (moveFocus && target && document.activeElement !== target) {
+			target.focus();
+		}
+	}
 
-			if (this.sortColumnId === this.getColumnId(col)) {
-				if (this.sortDirection === "asc") {
-					sortIcon.innerHTML = _TABLE_CONSTS.ICONS.sortUp;
-					sortIcon.style.opacity =
-						_TABLE_CONSTS.FEEDBACK.ICON_OPACITY_ACTIVE;
-				} else if (this.sortDirection === "desc") {
-					sortIcon.innerHTML = _TABLE_CONSTS.ICONS.sortDown;
-					sortIcon.style.opacity =
-						_TABLE_CONSTS.FEEDBACK.ICON_OPACITY_ACTIVE;
-				}
+	/**
+	 * Moves keyboard focus to a cell, changing page, scrolling, or expanding groups so that it is rendered.
+	 * @param {number} row - Index into filteredData, or -1 for the header row
+	 * @param {number} col - Index into getVisibleColumns()
+	 */
+	focusCell(row, col) {
+		col = Math.max(0, Math.min(this.getVisibleColumns().length - 1, col));
+		row = Math.max(-1, Math.min(this.filteredData.length - 1, row));
+		this.focusedCell = { row, col };
+
+		if (row >= 0 && this.getDisplayIndex(row) === -1) {
+			this.revealRow(row);
+		}
+		if (row >= 0 && !this.getCellElement(row, col)) {
+			const position = this.getDisplayIndex(row);
+			if (this.virtualScroll) {
+				this.scrollRowIntoView(position);
 			} else {
-				sortIcon.innerHTML = _TABLE_CONSTS.ICONS.sort;
-				sortIcon.style.opacity =
-					_TABLE_CONSTS.FEEDBACK.ICON_OPACITY_INACTIVE;
+				const page = Math.floor(position / this.pageSize) + 1;
+				if (page === this.currentPage) {
+					this.render(); // Row was revealed by expanding its group
+				} else if (!this.goToPage(page)) {
+					return; // Page change vetoed: keep focus where it was
+				}
 			}
-		});
+		}
+		this.syncFocusedCell(true);
 	}
 
 	/**
-	 * Updates the info row with recalculated column statistics.
+	 * Scrolls the virtual scroll viewport so that a row is visible, and renders it.
+	 * @param {number} index - Display position of the row
 	 * @private
 	 */
-	updateInfoRow() {
-		if (!this.showInfo || !this.infoRow) return;
-
-		const infoCells = this.infoRow.querySelectorAll("td");
-		infoCells.forEach((cell, index) => {
-			const col = this.columns[index];
-			cell.innerHTML = this.calculateColumnInfo(col);
-		});
+	scrollRowIntoView(index) {
+		const rowHeight = this.getRowHeight();
+		const headerHeight = this.thead.offsetHeight;
+		const viewportHeight =
+			this.tableContainer.clientHeight || parseFloat(this.viewportHeight);
+		const top = index * rowHeight;
+		const bottom = top + rowHeight;
+		const scrollTop = this.tableContainer.scrollTop;
+
+		if (top < scrollTop) {
+			this.tableContainer.scrollTop = top;
+		} else if (headerHeight + bottom > scrollTop + viewportHeight) {
+			this.tableContainer.scrollTop =
+				headerHeight + bottom - viewportHeight;
+		}
+		this.renderVirtualRows();
 	}
 
 	/**
-	 * Renders the table body with current page data.
+	 * Handles keyboard navigation within the grid.
+	 * Arrows/Home/End move the focused cell, Enter/Space on a header sorts
+	 * (with Shift to add a sort key), Space on a row toggles its selection,
+	 * +/- expand or collapse its detail row, PageUp/PageDown change page, and
+	 * Ctrl+C copies the selection or focused cell.
+	 * @param {KeyboardEvent} e - Keyboard event
 	 * @private
 	 */
-	renderTable() {
-		this.tbody.innerHTML = "";
-
-		const pageData = this.getPageData();
-
-		if (pageData.length === 0) {
-			const tr = this.createStyledElement("tr", "empty-row");
-			const td = this.createStyledElement("td", "empty-cell", {
-				textAlign: "center",
-				padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
-				fontStyle: "italic",
-				color: _TABLE_CONSTS.COLORS.MUTED_TEXT,
-			});
-			td.colSpan = this.columns.length;
-			td.textContent = _TABLE_CONSTS.MESSAGES.NO_DATA;
-			tr.appendChild(td);
-			this.tbody.appendChild(tr);
+	handleKeyDown(e) {
+		// Escape closes any editor, including custom ones
+		if (this.editing && this.editing.td.contains(e.target)) {
+			if (e.key === "Escape") {
+				e.preventDefault();
+				this.cancelEdit();
+			}
 			return;
 		}
-
-		pageData.forEach((row) => {
-			const tr = this.createStyledElement("tr", "data-row");
-
-			this.columns.forEach((col) => {
-				const tdStyles = {
-					padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
-					borderBottom: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
-				};
-
-				if (col.align) {
-					tdStyles.textAlign = col.align;
-				}
-
-				const td = this.createStyledElement(
-					"td",
-					"data-cell",
-					tdStyles,
+		// Leave keys alone while typing in filter inputs and other controls
+		if (!this.isGridCell(e.target)) return;
+
+		const { row, col } = this.focusedCell || { row: -1, col: 0 };
+		// Rows are navigated by display position, which skips group header rows
+		const position = row === -1 ? -1 : this.getDisplayIndex(row);
+		const pageStart = this.getPageStartIndex();
+		const pageEnd = this.getPageEndIndex();
+		const rowsPerPage = this.virtualScroll
+			? Math.max(
+					1,
+					Math.floor(
+						(this.tableContainer.clientHeight ||
+							parseFloat(this.viewportHeight)) /
+							this.getRowHeight(),
+					) - 1,
+				)
+			: this.pageSize;
+
+		switch (e.key) {
+			case "ArrowUp":
+				this.focusCell(
+					row === -1
+						? -1
+						: this.findDataRow(position - 1, -1, pageStart),
+					col,
 				);
-				let value;
-				try {
-					value = this.getNestedValue(row, col.key);
-				} catch (e) {
-					console.error(
-						`Error accessing key '${col.key}' in row '${row}' for col '${col}'. error: '${e}'`,
-					);
-					console.error("col", col);
-					console.error("row", row);
-					console.error("this.data", this.data);
-					console.error("this.columns", this.columns);
-					console.error("this.filteredData", this.filteredData);
-					console.error("this.pageData", pageData);
-					console.error("this.tbody", this.tbody);
-					throw e;
+				break;
+			case "ArrowDown": {
+				const next = this.findDataRow(
+					row === -1 ? pageStart : position + 1,
+					1,
+					pageEnd,
+				);
+				if (next === -1) {
+					if (row === -1) return; // No rows
+					break;
 				}
-
-				// Check for custom renderer in column definition
-				if (col.renderer) {
-					const rendered = col.renderer(value, row, col);
-					if (typeof rendered === "string") {
-						td.innerHTML = rendered;
-					} else {
-						td.appendChild(rendered);
-					}
+				this.focusCell(next, col);
+				break;
+			}
+			case "ArrowLeft":
+				this.focusCell(row, col - 1);
+				break;
+			case "ArrowRight":
+				this.focusCell(row, col + 1);
+				break;
+			case "Home":
+				this.focusCell(
+					e.ctrlKey ? this.findDataRow(pageStart, 1, pageEnd) : row,
+					0,
+				);
+				break;
+			case "End":
+				this.focusCell(
+					e.ctrlKey ? this.findDataRow(pageEnd, -1, pageStart) : row,
+					this.getVisibleColumns().length - 1,
+				);
+				break;
+			case "PageUp":
+			case "PageDown": {
+				const step = e.key === "PageDown" ? 1 : -1;
+				// Land on the nearest data row to the target position
+				const nearestRow = (target, start, end) => {
+					const next = this.findDataRow(target, 1, end);
+					return next === -1
+						? this.findDataRow(target, -1, start)
+						: next;
+				};
+				if (this.virtualScroll) {
+					if (row === -1) return;
+					const target = Math.max(
+						0,
+						Math.min(pageEnd, position + step * rowsPerPage),
+					);
+					this.focusCell(nearestRow(target, 0, pageEnd), col);
 				} else {
-					// Default rendering
-					if (value === null || value === undefined) {
-						td.textContent = "";
-					} else if (
-						col.type === "number" &&
-						typeof value === "number"
-					) {
-						td.textContent = value.toLocaleString();
-					} else {
-						td.textContent = String(value);
-					}
+					const page = this.currentPage + step;
+					if (page < 1 || page > this.getTotalPages()) break;
+					if (!this.goToPage(page)) break;
+					const newStart = this.getPageStartIndex();
+					const newEnd = this.getPageEndIndex();
+					this.focusCell(
+						row === -1
+							? -1
+							: nearestRow(
+									Math.min(
+										newStart + (position - pageStart),
+										newEnd,
+									),
+									newStart,
+									newEnd,
+								),
+						col,
+					);
+				}
+				break;
+			}
+			case "Enter":
+			case " ":
+				if (row === -1) {
+					this.handleSort(
+						this.getColumnId(this.getVisibleColumns()[col]),
+						e.shiftKey,
+					);
+				} else if (e.key === " " && this.selectable) {
+					this.toggleRowSelection(this.filteredData[row], e.shiftKey);
+				} else if (e.key !== "Enter" || !this.editCell(row, col)) {
+					return;
 				}
+				break;
+			case "F2":
+				if (row === -1 || !this.editCell(row, col)) return;
+				break;
+			case "+":
+			case "-":
+				if (row === -1 || !this.detailRenderer) return;
+				this.toggleRowDetail(this.filteredData[row], e.key === "+");
+				break;
+			case "c":
+			case "C":
+				if (!(e.ctrlKey || e.metaKey)) return;
+				// Let the browser copy any text the user has highlighted
+				if (window.getSelection().toString()) return;
+				this.copyToClipboard(this.getFocusedCopyText());
+				break;
+			default:
+				return;
+		}
+		e.preventDefault();
+	}
 
-				tr.appendChild(td);
-			});
+	/**
+	 * Gets the text copied by Ctrl+C: selected rows as CSV, or else the focused cell's value.
+	 * @returns {string} Text to copy
+	 * @private
+	 */
+	getFocusedCopyText() {
+		if (this.selectedKeys.size > 0) {
+			return this.exportCSV({ selectedOnly: true });
+		}
+		const { row, col } = this.focusedCell || { row: -1, col: 0 };
+		const column = this.getVisibleColumns()[col];
+		if (!column) return "";
+		if (row === -1) return column.label || column.key;
+		const value = this.getCellValue(this.filteredData[row], column);
+		return value === null || value === undefined ? "" : String(value);
+	}
+
+	/**
+	 * Handles column header click to cycle through sort states (asc -> desc -> none).
+	 * A plain click makes the column the only sort key; an additive (shift) click
+	 * adds it as a secondary key, or cycles it in place if it is already a key.
+	 * @param {string} columnId - ID of the column to sort
+	 * @param {boolean} [additive=false] - Keep the other sort keys (shift-click)
+	 */
+	handleSort(columnId, additive = false) {
+		const existing = this.sortState.find((key) => key.id === columnId);
+		let sortState;
+
+		if (!additive && !(existing && this.sortState.length === 1)) {
+			sortState = [{ id: columnId, direction: "asc" }];
+		} else if (!existing) {
+			sortState = [...this.sortState, { id: columnId, direction: "asc" }];
+		} else if (existing.direction === "asc") {
+			// Cycle through: asc -> desc -> none
+			sortState = this.sortState.map((key) =>
+				key === existing ? { ...key, direction: "desc" } : key,
+			);
+		} else {
+			sortState = this.sortState.filter((key) => key !== existing);
+		}
+
+		this.changeSort(sortState);
+	}
 
-			this.tbody.appendChild(tr);
+	/**
+	 * Sets the sort keys programmatically.
+	 * @param {Array<SortKey>} sortKeys - Sort keys in priority order (direction defaults to 'asc'); empty to clear
+	 * @throws {Error} If a key references an unknown column or has an invalid direction
+	 */
+	setSort(sortKeys) {
+		const sortState = (sortKeys || []).map(({ id, direction = "asc" }) => {
+			if (!this.columns.some((col) => this.getColumnId(col) === id)) {
+				throw new Error(`Unknown sort column: ${id}`);
+			}
+			if (direction !== "asc" && direction !== "desc") {
+				throw new Error(
+					`Invalid sort direction for ${id}: ${direction}`,
+				);
+			}
+			return { id, direction };
 		});
+
+		this.changeSort(sortState);
 	}
 
 	/**
-	 * Renders the pagination controls and attaches event listeners.
+	 * Emits a cancelable sort event and, unless a handler vetoes it, applies the new sort keys.
+	 * @param {Array<SortKey>} sortState - New sort keys in priority order
+	 * @returns {boolean} False if the change was vetoed
 	 * @private
 	 */
-	renderPagination() {
-		const totalPages = this.getTotalPages();
-		const paginationHTML = this.createPaginationHTML(totalPages);
+	changeSort(sortState) {
+		const allowed = this.emit(
+			"sort",
+			{
+				sort: sortState.map((key) => ({ ...key })),
+				previousSort: this.getSort(),
+			},
+			true,
+		);
+		if (!allowed) return false;
 
-		this.paginationBottom.innerHTML = paginationHTML;
+		this.sortState = sortState;
+		this.applyFiltersAndSort();
+		this.render();
+		return true;
+	}
 
-		// Clear old listeners to prevent memory leaks
-		this.paginationListeners = [];
+	/**
+	 * Gets the current sort keys.
+	 * @returns {Array<SortKey>} Copy of the sort keys in priority order
+	 */
+	getSort() {
+		return this.sortState.map((key) => ({ ...key }));
+	}
 
-		// Add page button listeners
-		this.paginationBottom.querySelectorAll("button").forEach((btn) => {
-			const handler = (e) => {
-				const page = parseInt(e.target.dataset.page);
-				if (!isNaN(page)) {
-					this.currentPage = page;
-					this.render();
-				}
-			};
-			btn.addEventListener("click", handler);
-			this.paginationListeners.push({
-				element: btn,
-				event: "click",
-				handler,
-			});
+	/**
+	 * Gets the current view state: page, page size, sort, filters, and column widths.
+	 * @returns {ViewState} View state (safe to serialize as JSON)
+	 */
+	getViewState() {
+		const filters = {};
+		Object.entries(this.filters).forEach(([id, filter]) => {
+			filters[id] = filter.value;
 		});
+		const widths = {};
+		this.columns.forEach((col) => {
+			if (col.width) widths[this.getColumnId(col)] = col.width;
+		});
+		return {
+			page: this.currentPage,
+			pageSize: this.pageSize,
+			sort: this.getSort(),
+			filters,
+			widths,
+		};
+	}
 
-		// Add page size selector listener
-		const pageSizeSelect = this.paginationBottom.querySelector(
-			`.${this.cssClass("page-size-select")}`,
-		);
-		if (pageSizeSelect) {
-			const handler = (e) => {
-				this.setPageSize(parseInt(e.target.value));
-			};
-			pageSizeSelect.addEventListener("change", handler);
-			this.paginationListeners.push({
-				element: pageSizeSelect,
-				event: "change",
-				handler,
+	/**
+	 * Applies a view state and re-renders. Missing fields are left unchanged.
+	 * @param {Partial<ViewState>} state - View state, e.g. from getViewState()
+	 */
+	setViewState(state) {
+		this.applyViewState(state);
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.refreshColumns();
+	}
+
+	/**
+	 * Applies a view state without rendering.
+	 * Saved state can be stale, so entries for unknown columns and invalid values are skipped.
+	 * @param {Partial<ViewState>} state - View state
+	 * @private
+	 */
+	applyViewState(state) {
+		if (!state || typeof state !== "object") return;
+		const findColumn = (id) =>
+			this.columns.find((col) => this.getColumnId(col) === id);
+
+		if (this.pageSizeOptions.includes(state.pageSize)) {
+			this.pageSize = state.pageSize;
+		}
+		if (Number.isInteger(state.page) && state.page >= 1) {
+			this.currentPage = state.page;
+		}
+		if (Array.isArray(state.sort)) {
+			this.sortState = state.sort
+				.filter(
+					(key) =>
+						key &&
+						findColumn(key.id) &&
+						(key.direction === "asc" || key.direction === "desc"),
+				)
+				.map(({ id, direction }) => ({ id, direction }));
+		}
+		if (state.filters && typeof state.filters === "object") {
+			this.filters = {};
+			Object.entries(state.filters).forEach(([id, value]) => {
+				const col = findColumn(id);
+				if (!col || col.filterable === false) return;
+				if (typeof value !== "string" || !value) return;
+				this.filters[id] = this.createFilterState(
+					col.key,
+					value,
+					col.type,
+					col,
+				);
 			});
 		}
-
-		// Add export CSV button listeners
-		const exportDownloadBtn = this.paginationBottom.querySelector(
-			`.${this.cssClass("export-download-btn")}`,
-		);
-		if (exportDownloadBtn) {
-			const handler = () => {
-				this.exportAndDownloadCSV();
-			};
-			exportDownloadBtn.addEventListener("click", handler);
-			this.paginationListeners.push({
-				element: exportDownloadBtn,
-				event: "click",
-				handler,
+		if (state.widths && typeof state.widths === "object") {
+			Object.entries(state.widths).forEach(([id, width]) => {
+				const col = findColumn(id);
+				if (col && typeof width === "string" && width) {
+					col.width = width;
+				}
 			});
 		}
+	}
 
-		const exportCopyBtn = this.paginationBottom.querySelector(
-			`.${this.cssClass("export-copy-btn")}`,
+	/**
+	 * Reads the saved view state from localStorage or the page URL.
+	 * @returns {Partial<ViewState>|null} Saved state, or null if there is none
+	 * @private
+	 */
+	loadSavedState() {
+		const { key, storage } = this.persistState;
+		if (storage === "url") {
+			return this.readViewStateFromURL();
+		}
+		try {
+			const saved = window.localStorage.getItem(key);
+			return saved ? JSON.parse(saved) : null;
+		} catch (e) {
+			console.warn(`DataTable: could not restore state '${key}': ${e}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Saves the view state to localStorage or the page URL.
+	 * Called automatically (debounced) after each render when persistState is set.
+	 */
+	saveState() {
+		clearTimeout(this.saveStateTimeout);
+		this.saveStateTimeout = null;
+		if (!this.persistState) return;
+
+		const { key, storage } = this.persistState;
+		const state = this.getViewState();
+		if (storage === "url") {
+			this.writeViewStateToURL(state);
+			return;
+		}
+		try {
+			window.localStorage.setItem(key, JSON.stringify(state));
+		} catch (e) {
+			console.warn(`DataTable: could not save state '${key}': ${e}`);
+		}
+	}
+
+	/**
+	 * Schedules a debounced saveState() call.
+	 * @private
+	 */
+	scheduleSaveState() {
+		if (!this.persistState) return;
+		clearTimeout(this.saveStateTimeout);
+		this.saveStateTimeout = setTimeout(
+			() => this.saveState(),
+			_TABLE_CONSTS.PERSIST.SAVE_DELAY,
 		);
-		if (exportCopyBtn) {
-			const handler = () => {
-				this.copyCSVToClipboard();
-			};
-			exportCopyBtn.addEventListener("click", handler);
-			this.paginationListeners.push({
-				element: exportCopyBtn,
-				event: "click",
-				handler,
-			});
+	}
+
+	/**
+	 * Parses view state from the page URL.
+	 * Parameters are prefixed with the persist key and use dot paths, with
+	 * tilde-separated arrays as in config.js: ?grid.page=2&grid.sort=age:desc~name:asc&grid.filters.name=bo*
+	 * @returns {Partial<ViewState>|null} Parsed state, or null if the URL has no parameters for this table
+	 * @private
+	 */
+	readViewStateFromURL() {
+		const prefix = this.persistState.key + ".";
+		const state = { filters: {}, widths: {} };
+		let found = false;
+
+		for (const [name, value] of new URLSearchParams(
+			window.location.search,
+		)) {
+			if (!name.startsWith(prefix)) continue;
+			found = true;
+			const path = name.slice(prefix.length);
+			if (path === "page" || path === "pageSize") {
+				state[path] = parseInt(value, 10);
+			} else if (path === "sort") {
+				state.sort = value.split("~").map((entry) => {
+					// Column IDs may contain colons, so split on the last one
+					const i = entry.lastIndexOf(":");
+					return i === -1
+						? { id: entry, direction: "asc" }
+						: {
+								id: entry.slice(0, i),
+								direction: entry.slice(i + 1),
+							};
+				});
+			} else if (path.startsWith("filters.")) {
+				state.filters[path.slice("filters.".length)] = value;
+			} else if (path.startsWith("widths.")) {
+				state.widths[path.slice("widths.".length)] = value;
+			}
 		}
 
-		// Add clear filters button listener
-		const clearBtn = this.paginationBottom.querySelector(
-			`.${this.cssClass("clear-filters-btn")}`,
+		return found ? state : null;
+	}
+
+	/**
+	 * Writes view state into the page URL, replacing this table's previous parameters.
+	 * Only values that differ from the table's initial configuration are included.
+	 * @param {ViewState} state - View state
+	 * @private
+	 */
+	writeViewStateToURL(state) {
+		const prefix = this.persistState.key + ".";
+		const defaults = this.defaultViewState;
+		const params = new URLSearchParams(window.location.search);
+		Array.from(params.keys())
+			.filter((name) => name.startsWith(prefix))
+			.forEach((name) => params.delete(name));
+
+		if (state.page !== defaults.page) {
+			params.set(prefix + "page", String(state.page));
+		}
+		if (state.pageSize !== defaults.pageSize) {
+			params.set(prefix + "pageSize", String(state.pageSize));
+		}
+		if (state.sort.length > 0) {
+			params.set(
+				prefix + "sort",
+				state.sort.map((key) => `${key.id}:${key.direction}`).join("~"),
+			);
+		}
+		Object.entries(state.filters).forEach(([id, value]) => {
+			params.set(`${prefix}filters.${id}`, value);
+		});
+		Object.entries(state.widths).forEach(([id, width]) => {
+			if (width !== defaults.widths[id]) {
+				params.set(`${prefix}widths.${id}`, width);
+			}
+		});
+
+		const query = params.toString();
+		window.history.replaceState(
+			window.history.state,
+			"",
+			window.location.pathname +
+				(query ? "?" + query : "") +
+				window.location.hash,
 		);
-		if (clearBtn) {
-			const handler = () => {
-				this.clearAllFilters();
-			};
-			clearBtn.addEventListener("click", handler);
-			this.paginationListeners.push({
-				element: clearBtn,
-				event: "click",
-				handler,
-			});
+	}
+
+	/**
+	 * Parses a numeric filter string into operator and value.
+	 * @param {string} value - Filter string (e.g., '>50', '<=100', '42')
+	 * @returns {NumericFilter|null} Parsed filter object, or null if invalid
+	 */
+	parseNumericFilter(value) {
+		const trimmed = value.trim();
+		if (!trimmed) return null;
+
+		const match = trimmed.match(/^(==|!=|>=|<=|>|<)?\s*(-?\d+\.?\d*)$/);
+		if (!match) return null;
+
+		const operator = match[1] || "==";
+		const number = parseFloat(match[2]);
+
+		if (isNaN(number)) return null;
+
+		return { operator, value: number };
+	}
+
+	/**
+	 * Applies a numeric filter comparison to a cell value.
+	 * @param {*} cellValue - Cell value to test
+	 * @param {NumericFilter} filter - Parsed numeric filter
+	 * @returns {boolean} True if value passes the filter
+	 */
+	applyNumericFilter(cellValue, filter) {
+		if (!filter) return true;
+
+		const value = parseFloat(cellValue);
+		if (isNaN(value)) return false;
+
+		switch (filter.operator) {
+			case "==":
+				return value === filter.value;
+			case "!=":
+				return value !== filter.value;
+			case ">":
+				return value > filter.value;
+			case "<":
+				return value < filter.value;
+			case ">=":
+				return value >= filter.value;
+			case "<=":
+				return value <= filter.value;
+			default:
+				return true;
 		}
 	}
 
 	/**
-	 * Creates the HTML string for pagination controls.
-	 * @param {number} totalPages - Total number of pages
-	 * @returns {string} HTML string for pagination
+	 * Creates the filter row control of a facet column: a button opening its value list, and a clear button.
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {HTMLElement} Filter container
+	 * @private
+	 */
+	createFacetFilter(col) {
+		const columnId = this.getColumnId(col);
+		const filterContainer = this.createStyledElement(
+			"div",
+			"filter-container",
+			{ display: "flex", alignItems: "center", minWidth: "0" },
+		);
+
+		const button = this.createStyledElement("button", "facet-btn", {
+			flex: "1 1 0",
+			minWidth: "0",
+			width: "0",
+			overflow: "hidden",
+			textOverflow: "ellipsis",
+			whiteSpace: "nowrap",
+			textAlign: "left",
+			border: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			borderRadius: "3px",
+			padding: "2px 4px",
+			background: _TABLE_CONSTS.COLORS.BODY_BG,
+			color: "inherit",
+			font: "inherit",
+			fontWeight: "normal",
+			cursor: "pointer",
+		});
+		button.type = "button";
+		button.dataset.columnId = columnId;
+		button.setAttribute("aria-haspopup", "dialog");
+		button.setAttribute("aria-expanded", "false");
+		button.addEventListener("click", () => {
+			if (this.facetMenuColumnId === columnId) {
+				this.closeFacetMenu();
+			} else {
+				this.openFacetMenu(columnId);
+			}
+		});
+
+		const clearBtn = this.createStyledElement(
+			"button",
+			"filter-clear-btn",
+			{
+				border: "none",
+				background: "none",
+				cursor: "pointer",
+				padding: "2px 8px",
+				fontSize: "16px",
+				color: _TABLE_CONSTS.COLORS.MUTED_TEXT,
+				marginLeft: _TABLE_CONSTS.SPACING.MARGIN_ICON,
+			},
+		);
+		clearBtn.textContent = _TABLE_CONSTS.ICONS.clear;
+		clearBtn.title = _TABLE_CONSTS.MESSAGES.CLEAR_FILTER;
+		clearBtn.addEventListener("click", () => {
+			this.setFacetFilter(columnId, null);
+		});
+
+		filterContainer.appendChild(button);
+		filterContainer.appendChild(clearBtn);
+		this.updateFacetButton(button);
+		return filterContainer;
+	}
+
+	/**
+	 * Gets the facet filter button of a column.
+	 * @param {string} columnId - Column identifier
+	 * @returns {HTMLButtonElement|null} Button, or null if the column has none
+	 * @private
+	 */
+	getFacetButton(columnId) {
+		return (
+			Array.from(
+				this.thead.querySelectorAll(`.${this.cssClass("facet-btn")}`),
+			).find((button) => button.dataset.columnId === columnId) || null
+		);
+	}
+
+	/**
+	 * Converts a cell value to the string a facet filter matches it by ('' for missing values).
+	 * @param {*} value - Cell value
+	 * @returns {string} Facet value
+	 * @private
+	 */
+	getFacetValue(value) {
+		return value === null || value === undefined ? "" : String(value);
+	}
+
+	/**
+	 * Parses a facet filter value: a JSON array of the selected facet values.
+	 * @param {string} filterValue - Raw filter value, e.g. '["a","b"]'
+	 * @returns {Set<string>} Selected values
+	 * @throws {Error} If the value is not a JSON array of strings
+	 * @private
+	 */
+	parseFacetFilter(filterValue) {
+		let values;
+		try {
+			values = JSON.parse(filterValue);
+		} catch (e) {
+			values = null;
+		}
+		if (
+			!Array.isArray(values) ||
+			!values.every((value) => typeof value === "string")
+		) {
+			throw new Error(_TABLE_CONSTS.MESSAGES.INVALID_FILTER);
+		}
+		return new Set(values);
+	}
+
+	/**
+	 * Gets the distinct values of a facet column, counting the rows that match the other columns' filters.
+	 * Values that no longer match are kept with a count of 0. In dataSource mode, values and counts come
+	 * from the loaded page.
+	 * @param {string} columnId - Column identifier
+	 * @returns {Array<{value: string, label: string, count: number}>} Values in natural order, missing values last
+	 * @throws {Error} If the column does not exist
+	 */
+	getFacetValues(columnId) {
+		const col = this.columns.find((c) => this.getColumnId(c) === columnId);
+		if (!col) {
+			throw new Error(`Column not found: ${columnId}`);
+		}
+
+		const counts = new Map();
+		this.data.forEach((row) => {
+			counts.set(this.getFacetValue(this.getCellValue(row, col)), 0);
+		});
+		// The data source has already applied the filters to the loaded page
+		const rows = this.dataSource ? this.data : this.filterRows(columnId);
+		rows.forEach((row) => {
+			const value = this.getFacetValue(this.getCellValue(row, col));
+			counts.set(value, counts.get(value) + 1);
+		});
+
+		return Array.from(counts, ([value, count]) => ({
+			value,
+			label: value === "" ? _TABLE_CONSTS.MESSAGES.EMPTY_GROUP : value,
+			count,
+		})).sort(
+			(a, b) =>
+				(a.value === "") - (b.value === "") ||
+				a.value.localeCompare(b.value, undefined, { numeric: true }),
+		);
+	}
+
+	/**
+	 * Gets the values selected in a column's facet filter.
+	 * @param {string} columnId - Column identifier
+	 * @returns {Set<string>|null} Selected values, or null if the column is not filtered
+	 * @private
+	 */
+	getFacetSelection(columnId) {
+		const filter = this.filters[columnId];
+		if (!filter || !filter.valid) return null;
+		return this.parseFacetFilter(filter.value);
+	}
+
+	/**
+	 * Filters a facet column to rows whose value is one of the given values.
+	 * Selecting every value clears the filter.
+	 * @param {string} columnId - Column identifier
+	 * @param {Array<string>|null} values - Facet values to keep ('' for missing values), or null to clear the filter
+	 * @returns {boolean} False if a filter event handler vetoed the change
+	 * @throws {Error} If the column has no facet filter
+	 */
+	setFacetFilter(columnId, values) {
+		const col = this.columns.find((c) => this.getColumnId(c) === columnId);
+		if (!col || col.filter !== "facet") {
+			throw new Error(`Not a facet filter column: ${columnId}`);
+		}
+
+		let filterValue = "";
+		if (values !== null) {
+			const selected = new Set(values.map(String));
+			const all = this.getFacetValues(columnId).map((o) => o.value);
+			if (!all.every((value) => selected.has(value))) {
+				// Keep the dropdown's order so equal selections give equal filter values
+				const ordered = all.filter((value) => selected.has(value));
+				selected.forEach((value) => {
+					if (!ordered.includes(value)) ordered.push(value);
+				});
+				filterValue = JSON.stringify(ordered);
+			}
+		}
+
+		if (!this.emitFilterChange(columnId, filterValue)) {
+			this.updateFacetFilters(); // Show the selection still in effect
+			return false;
+		}
+		if (filterValue) {
+			this.filters[columnId] = this.createFilterState(
+				col.key,
+				filterValue,
+				col.type,
+				col,
+			);
+		} else {
+			delete this.filters[columnId];
+		}
+
+		this.currentPage = 1;
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+		this.updateFacetFilters();
+		return true;
+	}
+
+	/**
+	 * Updates the label of a facet filter button from the column's filter.
+	 * @param {HTMLButtonElement} button - Facet button
+	 * @private
+	 */
+	updateFacetButton(button) {
+		const filter = this.filters[button.dataset.columnId];
+		let label = _TABLE_CONSTS.MESSAGES.FACET_ALL;
+		if (filter && !filter.valid) {
+			label = filter.error;
+		} else if (filter) {
+			const selected = Array.from(this.parseFacetFilter(filter.value));
+			label =
+				selected.length === 1
+					? selected[0] || _TABLE_CONSTS.MESSAGES.EMPTY_GROUP
+					: `${selected.length} ${_TABLE_CONSTS.MESSAGES.FACET_SELECTED}`;
+		}
+		button.textContent = `${label} ▾`;
+		button.title = label;
+		button.style.backgroundColor =
+			filter && !filter.valid
+				? _TABLE_CONSTS.COLORS.ERROR_BG
+				: _TABLE_CONSTS.COLORS.BODY_BG;
+	}
+
+	/**
+	 * Refreshes facet button labels, and the open value list, after filters change.
+	 * @private
+	 */
+	updateFacetFilters() {
+		this.thead
+			.querySelectorAll(`.${this.cssClass("facet-btn")}`)
+			.forEach((button) => this.updateFacetButton(button));
+		if (this.facetMenuColumnId !== null) {
+			this.renderFacetOptions();
+		}
+	}
+
+	/**
+	 * Opens the value list of a facet column under its filter button.
+	 * Clicking outside the list or pressing Escape closes it.
+	 * @param {string} columnId - Column identifier
+	 */
+	openFacetMenu(columnId) {
+		const button = this.getFacetButton(columnId);
+		if (!button) {
+			throw new Error(`Not a facet filter column: ${columnId}`);
+		}
+		if (this.facetMenuColumnId !== null) this.closeFacetMenu();
+
+		const col = this.columns.find((c) => this.getColumnId(c) === columnId);
+		const menu = this.facetMenu;
+		menu.innerHTML = "";
+		menu.setAttribute("aria-label", col.label || col.key);
+
+		const search = this.createStyledElement("input", "facet-search", {
+			display: "block",
+			boxSizing: "border-box",
+			width: "calc(100% - 16px)",
+			margin: "4px 8px",
+			padding: "2px 4px",
+			border: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			borderRadius: "3px",
+		});
+		search.type = "search";
+		search.placeholder = _TABLE_CONSTS.MESSAGES.FACET_SEARCH;
+		search.setAttribute("aria-label", _TABLE_CONSTS.MESSAGES.FACET_SEARCH);
+		search.addEventListener("input", () => this.renderFacetOptions());
+
+		const selectAllItem = this.createStyledElement(
+			"label",
+			"facet-option",
+			{
+				display: "flex",
+				alignItems: "center",
+				gap: "6px",
+				padding: "4px 12px",
+				cursor: "pointer",
+				whiteSpace: "nowrap",
+				borderBottom: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			},
+		);
+		const selectAll = this.createStyledElement(
+			"input",
+			"facet-select-all",
+			{},
+		);
+		selectAll.type = "checkbox";
+		selectAll.addEventListener("change", () => {
+			// Applies to the values matching the search only
+			const selected = new Set(
+				this.getFacetSelection(columnId) ||
+					this.getFacetValues(columnId).map((o) => o.value),
+			);
+			this.facetMenu
+				.querySelectorAll(`.${this.cssClass("facet-checkbox")}`)
+				.forEach((checkbox) => {
+					if (selectAll.checked) {
+						selected.add(checkbox.value);
+					} else {
+						selected.delete(checkbox.value);
+					}
+				});
+			this.setFacetFilter(columnId, Array.from(selected));
+		});
+		selectAllItem.appendChild(selectAll);
+		selectAllItem.appendChild(
+			document.createTextNode(_TABLE_CONSTS.MESSAGES.FACET_SELECT_ALL),
+		);
+
+		const list = this.createStyledElement("div", "facet-list", {
+			maxHeight: _TABLE_CONSTS.FILTERS.FACET_LIST_HEIGHT,
+			overflowY: "auto",
+		});
+		list.setAttribute("role", "group");
+
+		menu.appendChild(search);
+		menu.appendChild(selectAllItem);
+		menu.appendChild(list);
+
+		this.facetMenuColumnId = columnId;
+		this.renderFacetOptions();
+
+		// Position under the button; the wrapper is the menu's containing block
+		const wrapperRect = this.wrapper.getBoundingClientRect();
+		const buttonRect = button.getBoundingClientRect();
+		menu.style.top = `${buttonRect.bottom - wrapperRect.top}px`;
+		menu.style.left = `${buttonRect.left - wrapperRect.left}px`;
+		menu.style.display = "block";
+		button.setAttribute("aria-expanded", "true");
+		search.focus();
+
+		this.facetMenuCloseHandler = (e) => {
+			if (menu.contains(e.target) || button.contains(e.target)) return;
+			this.closeFacetMenu();
+		};
+		document.addEventListener("mousedown", this.facetMenuCloseHandler);
+	}
+
+	/**
+	 * Renders the values of the open facet list that match its search, with their counts.
+	 * @private
+	 */
+	renderFacetOptions() {
+		const columnId = this.facetMenuColumnId;
+		const search = this.facetMenu.querySelector(
+			`.${this.cssClass("facet-search")}`,
+		);
+		const list = this.facetMenu.querySelector(
+			`.${this.cssClass("facet-list")}`,
+		);
+		const selectAll = this.facetMenu.querySelector(
+			`.${this.cssClass("facet-select-all")}`,
+		);
+		const query = search.value.trim().toLowerCase();
+		const selection = this.getFacetSelection(columnId);
+		const options = this.getFacetValues(columnId).filter((option) =>
+			option.label.toLowerCase().includes(query),
+		);
+
+		list.innerHTML = "";
+		options.forEach((option) => {
+			const item = this.createStyledElement("label", "facet-option", {
+				display: "flex",
+				alignItems: "center",
+				gap: "6px",
+				padding: "4px 12px",
+				cursor: "pointer",
+				whiteSpace: "nowrap",
+			});
+			const checkbox = this.createStyledElement(
+				"input",
+				"facet-checkbox",
+				{},
+			);
+			checkbox.type = "checkbox";
+			checkbox.value = option.value;
+			checkbox.checked = !selection || selection.has(option.value);
+			checkbox.addEventListener("change", () => {
+				const selected = new Set(
+					this.getFacetSelection(columnId) ||
+						this.getFacetValues(columnId).map((o) => o.value),
+				);
+				if (checkbox.checked) {
+					selected.add(option.value);
+				} else {
+					selected.delete(option.value);
+				}
+				this.setFacetFilter(columnId, Array.from(selected));
+				// The list was re-rendered: keep focus on this value
+				Array.from(
+					list.querySelectorAll(
+						`.${this.cssClass("facet-checkbox")}`,
+					),
+				)
+					.find((c) => c.value === option.value)
+					?.focus();
+			});
+
+			const label = this.createStyledElement("span", "facet-label", {
+				flex: "1",
+				fontStyle: option.value === "" ? "italic" : "",
+			});
+			label.textContent = option.label;
+			const count = this.createStyledElement("span", "facet-count", {
+				color: _TABLE_CONSTS.COLORS.MUTED_TEXT,
+				marginLeft: "12px",
+			});
+			count.textContent = option.count.toLocaleString();
+
+			item.appendChild(checkbox);
+			item.appendChild(label);
+			item.appendChild(count);
+			list.appendChild(item);
+		});
+
+		if (options.length === 0) {
+			const empty = this.createStyledElement("div", "facet-empty", {
+				padding: "4px 12px",
+				color: _TABLE_CONSTS.COLORS.MUTED_TEXT,
+			});
+			empty.textContent = _TABLE_CONSTS.MESSAGES.FACET_NO_MATCH;
+			list.appendChild(empty);
+		}
+
+		const checkedCount = options.filter(
+			(option) => !selection || selection.has(option.value),
+		).length;
+		selectAll.checked =
+			options.length > 0 && checkedCount === options.length;
+		selectAll.indeterminate =
+			checkedCount > 0 && checkedCount < options.length;
+		selectAll.disabled = options.length === 0;
+	}
+
+	/**
+	 * Closes the open facet value list.
+	 */
+	closeFacetMenu() {
+		const button =
+			this.facetMenuColumnId !== null &&
+			this.getFacetButton(this.facetMenuColumnId);
+		if (button) button.setAttribute("aria-expanded", "false");
+		this.facetMenu.style.display = "none";
+		this.facetMenuColumnId = null;
+		if (this.facetMenuCloseHandler) {
+			document.removeEventListener(
+				"mousedown",
+				this.facetMenuCloseHandler,
+			);
+			this.facetMenuCloseHandler = null;
+		}
+	}
+
+	/**
+	 * Gets the filter tooltip text for a column.
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {string} Tooltip text explaining filter syntax
+	 */
+	getFilterTooltip(col) {
+		// Check for custom tooltip in column definition
+		if (col.filterTooltip) {
+			return col.filterTooltip;
+		}
+
+		// Default tooltips based on type
+		if (col.type === "number") {
+			return _TABLE_CONSTS.FILTER_TOOLTIPS.NUMBER;
+		}
+		if (col.type === "date") {
+			return _TABLE_CONSTS.FILTER_TOOLTIPS.DATE;
+		}
+		return _TABLE_CONSTS.FILTER_TOOLTIPS.DEFAULT;
+	}
+
+	/**
+	 * Calculates statistics or summary info for a column.
+	 * For number columns: shows range, mean, and median.
+	 * For other types: shows unique value count.
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {string} HTML string with column statistics
+	 */
+	calculateColumnInfo(col, rows = this.data) {
+		const columnData = rows
+			.map((row) => this.getCellValue(row, col))
+			.filter((val) => val !== null && val !== undefined);
+
+		// Check for custom info function in column definition
+		if (col.infoFunction) {
+			const result = col.infoFunction(columnData, col);
+			return typeof result === "string" ? result : result.outerHTML || "";
+		}
+
+		// Default statistical calculations
+		const stats = this.computeColumnStats(columnData, col);
+
+		if (stats.count === 0) {
+			return "No data";
+		}
+
+		if (col.type === "number") {
+			if (stats.min === null) return "No numeric data";
+			return `R=[${stats.min.toLocaleString()}, ${stats.max.toLocaleString()}] μ=${stats.mean.toFixed(1)} x̃=${stats.median.toLocaleString()}`;
+		} else {
+			// For string/other types, show unique count
+			return `${stats.unique} unique value${stats.unique === 1 ? "" : "s"}`;
+		}
+	}
+
+	/**
+	 * Computes summary statistics for a column: range, mean, and median for
+	 * number columns, or the count of distinct values for other types.
+	 * @param {Array<*>} values - Non-null column values
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {ColumnStats} Column statistics
+	 */
+	computeColumnStats(values, col) {
+		const stats = {
+			count: values.length,
+			unique: null,
+			min: null,
+			max: null,
+			mean: null,
+			median: null,
+		};
+
+		const reductions = this.getStats();
+		if (col.type !== "number") {
+			stats.unique = reductions.nunique(values);
+			return stats;
+		}
+
+		const numbers = values.filter(
+			(val) => typeof val === "number" && !isNaN(val),
+		);
+		if (numbers.length === 0) return stats;
+
+		stats.min = reductions.min(numbers);
+		stats.max = reductions.max(numbers);
+		stats.mean = reductions.mean(numbers);
+		stats.median = reductions.median(numbers);
+		return stats;
+	}
+
+	/**
+	 * Gets the statistics shared with DataFrame (STATS from stats.js).
+	 * @returns {Object<string, function(Array): *>} Reductions by name
+	 * @throws {Error} If stats.js is not loaded
+	 * @private
+	 */
+	getStats() {
+		if (typeof STATS === "undefined") {
+			throw new Error("Column statistics require stats.js");
+		}
+		return STATS;
+	}
+
+	/**
+	 * Handles filter input changes for a column.
+	 * @param {string} columnId - Column identifier
+	 * @param {string} columnKey - Column key for data access
+	 * @param {string} filterValue - Raw filter input value
+	 * @param {string} type - Column data type
+	 * @param {HTMLInputElement} inputElement - Filter input element
+	 * @param {ColumnConfig} col - Column configuration
+	 */
+	handleFilter(columnId, columnKey, filterValue, type, inputElement, col) {
+		if (!this.emitFilterChange(columnId, filterValue)) {
+			// Vetoed: show the filter that is still in effect
+			inputElement.value = this.filters[columnId]?.value || "";
+			return;
+		}
+
+		if (!filterValue) {
+			delete this.filters[columnId];
+			this.setFilterError(inputElement, null);
+		} else {
+			const filter = this.createFilterState(
+				columnKey,
+				filterValue,
+				type,
+				col,
+			);
+			this.filters[columnId] = filter;
+			this.setFilterError(
+				inputElement,
+				filter.valid ? null : filter.error,
+			);
+		}
+
+		this.currentPage = 1;
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Parses filter input into a filter state, validating it for the column type.
+	 * @param {string} columnKey - Column key for data access
+	 * @param {string} filterValue - Raw filter input value
+	 * @param {string} type - Column data type
+	 * @param {ColumnConfig} [col] - Column configuration (for custom filter functions)
+	 * @returns {FilterState} Filter state
+	 * @private
+	 */
+	createFilterState(columnKey, filterValue, type, col) {
+		let error = null;
+		let customFilter = null;
+
+		if (col?.filter === "facet") {
+			try {
+				const selected = this.parseFacetFilter(filterValue);
+				customFilter = (value) =>
+					selected.has(this.getFacetValue(value));
+			} catch (e) {
+				error = e.message;
+			}
+		} else if (col?.filterFunction) {
+			try {
+				customFilter = col.filterFunction(filterValue);
+				if (
+					customFilter !== null &&
+					typeof customFilter !== "function"
+				) {
+					error = _TABLE_CONSTS.MESSAGES.INVALID_FILTER;
+				}
+			} catch (e) {
+				error = e.message || _TABLE_CONSTS.MESSAGES.INVALID_FILTER;
+			}
+		}
+
+		// No custom filter (or it returned null): validate the expression
+		if (customFilter === null && error === null) {
+			try {
+				this.parseFilterExpression(filterValue, type);
+			} catch (e) {
+				error = e.message;
+			}
+		}
+
+		return {
+			key: columnKey, // Store the key for data access
+			literalKey: Boolean(col?.literalKey),
+			value: filterValue,
+			type: type,
+			valid: error === null,
+			error: error,
+			customFilter: customFilter,
+		};
+	}
+
+	/**
+	 * Shows or clears the invalid state and inline error message of a filter input.
+	 * @param {HTMLInputElement} inputElement - Filter input element
+	 * @param {string|null} message - Error message, or null to clear
+	 * @private
+	 */
+	setFilterError(inputElement, message) {
+		inputElement.style.backgroundColor = message
+			? _TABLE_CONSTS.COLORS.ERROR_BG
+			: "";
+		if (message) {
+			inputElement.setAttribute("aria-invalid", "true");
+		} else {
+			inputElement.removeAttribute("aria-invalid");
+		}
+
+		const cell = inputElement.closest("td");
+		const errorElement =
+			cell && cell.querySelector(`.${this.cssClass("filter-error")}`);
+		if (errorElement) {
+			errorElement.textContent = message || "";
+			errorElement.style.display = message ? "" : "none";
+		}
+	}
+
+	/**
+	 * Clears the filter for a single column.
+	 * @param {string} columnId - Column identifier
+	 * @param {HTMLInputElement} inputElement - Filter input element
+	 */
+	clearFilter(columnId, inputElement) {
+		if (!this.emitFilterChange(columnId, "")) return;
+		inputElement.value = "";
+		delete this.filters[columnId];
+		this.setFilterError(inputElement, null);
+		this.currentPage = 1;
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Emits a cancelable filter event for a change to one column's filter.
+	 * @param {string|null} columnId - Column identifier, or null when clearing all filters
+	 * @param {string} value - New raw filter value ('' when cleared)
+	 * @returns {boolean} False if a handler vetoed the change
+	 * @private
+	 */
+	emitFilterChange(columnId, value) {
+		const filters = columnId === null ? {} : this.getViewState().filters;
+		if (columnId !== null) {
+			if (value) {
+				filters[columnId] = value;
+			} else {
+				delete filters[columnId];
+			}
+		}
+		return this.emit(
+			"filter",
+			{
+				columnId,
+				value,
+				previousValue:
+					columnId === null
+						? null
+						: this.filters[columnId]?.value || "",
+				filters,
+			},
+			true,
+		);
+	}
+
+	/**
+	 * Builds a predicate for a single filter state.
+	 * Filter strings are parsed once here rather than once per row.
+	 * @param {FilterState} filter - Filter state
+	 * @returns {function(*): boolean} Predicate on the cell value
+	 * @private
+	 */
+	compileFilter(filter) {
+		// Apply custom filter if available
+		if (filter.customFilter) {
+			return (cellValue) => {
+				try {
+					return Boolean(filter.customFilter(cellValue));
+				} catch (e) {
+					// If custom filter fails, treat as no match
+					return false;
+				}
+			};
+		}
+
+		try {
+			return this.parseFilterExpression(filter.value, filter.type);
+		} catch (e) {
+			// Invalid filters are skipped by applyFiltersAndSort
+			return () => true;
+		}
+	}
+
+	/**
+	 * Parses a filter expression into a predicate on cell values.
+	 * The same syntax is used for every column type:
+	 * - `a & b`, `a | b` combine terms (`&` binds tighter), `( ... )` groups them
+	 * - `!term` negates a term
+	 * - `/pattern/flags` matches a regular expression against the cell text
+	 * - `is:null` matches missing values, `is:empty` also matches blank text
+	 * - `"text"` matches literal text, including the characters above
+	 * Any other term is interpreted by column type: numeric comparisons and
+	 * `10..50` ranges for numbers, date comparisons and ranges for dates, and
+	 * case-insensitive substring or `*` wildcard matches otherwise.
+	 * @param {string} expression - Filter expression
+	 * @param {string} [type='string'] - Column data type
+	 * @returns {function(*): boolean} Predicate on the cell value
+	 * @throws {Error} If the expression is invalid; the message describes the problem
+	 */
+	parseFilterExpression(expression, type = "string") {
+		const source = String(expression);
+		let pos = 0;
+
+		const skipSpace = () => {
+			while (pos < source.length && /\s/.test(source[pos])) pos++;
+		};
+
+		const parseOr = () => {
+			const terms = [parseAnd()];
+			while (source[pos] === "|") {
+				pos++;
+				terms.push(parseAnd());
+			}
+			return terms.length === 1
+				? terms[0]
+				: (value) => terms.some((term) => term(value));
+		};
+
+		const parseAnd = () => {
+			const terms = [parseUnary()];
+			while (source[pos] === "&") {
+				pos++;
+				terms.push(parseUnary());
+			}
+			return terms.length === 1
+				? terms[0]
+				: (value) => terms.every((term) => term(value));
+		};
+
+		const parseUnary = () => {
+			skipSpace();
+			// '!=' is a numeric operator, not a negation
+			if (source[pos] === "!" && source[pos + 1] !== "=") {
+				pos++;
+				const term = parseUnary();
+				return (value) => !term(value);
+			}
+			if (source[pos] === "(") {
+				pos++;
+				const term = parseOr();
+				if (source[pos] !== ")") {
+					throw new Error("Missing closing parenthesis");
+				}
+				pos++;
+				skipSpace();
+				return term;
+			}
+			return parseTerm();
+		};
+
+		const parseTerm = () => {
+			let term;
+			if (source[pos] === "/") {
+				term = parseRegexTerm();
+			} else if (source[pos] === '"') {
+				term = parseQuotedTerm();
+			} else {
+				const start = pos;
+				while (pos < source.length && !"&|)".includes(source[pos])) {
+					pos++;
+				}
+				const text = source.slice(start, pos).trim();
+				if (!text) {
+					throw new Error(
+						pos < source.length
+							? `Missing filter before "${source[pos]}"`
+							: "Missing filter at end of expression",
+					);
+				}
+				term = this.compileFilterTerm(text, type);
+			}
+			skipSpace();
+			return term;
+		};
+
+		const parseRegexTerm = () => {
+			let end = pos + 1;
+			let inClass = false;
+			while (end < source.length && (source[end] !== "/" || inClass)) {
+				if (source[end] === "\\") end++;
+				else if (source[end] === "[") inClass = true;
+				else if (source[end] === "]") inClass = false;
+				end++;
+			}
+			if (end >= source.length) {
+				throw new Error("Unterminated regular expression");
+			}
+			const pattern = source.slice(pos + 1, end);
+			const flagsMatch = /^[a-z]*/i.exec(source.slice(end + 1));
+			pos = end + 1 + flagsMatch[0].length;
+
+			let regex;
+			try {
+				// Stateful flags would make test() depend on the previous row
+				regex = new RegExp(pattern, flagsMatch[0].replace(/[gy]/g, ""));
+			} catch (e) {
+				throw new Error(`Invalid regular expression: /${pattern}/`);
+			}
+			return (value) =>
+				value !== null &&
+				value !== undefined &&
+				regex.test(String(value));
+		};
+
+		const parseQuotedTerm = () => {
+			let end = pos + 1;
+			let text = "";
+			while (end < source.length && source[end] !== '"') {
+				if (source[end] === "\\" && end + 1 < source.length) end++;
+				text += source[end];
+				end++;
+			}
+			if (end >= source.length) {
+				throw new Error("Missing closing quote");
+			}
+			pos = end + 1;
+			const needle = text.toLowerCase();
+			return (value) =>
+				value !== null &&
+				value !== undefined &&
+				String(value).toLowerCase().includes(needle);
+		};
+
+		const predicate = parseOr();
+		if (pos < source.length) {
+			throw new Error(`Unexpected "${source[pos]}"`);
+		}
+		return predicate;
+	}
+
+	/**
+	 * Compiles a single filter term (no operators) for a column type.
+	 * @param {string} text - Trimmed term text
+	 * @param {string} type - Column data type
+	 * @returns {function(*): boolean} Predicate on the cell value
+	 * @throws {Error} If the term is not valid for the column type
+	 * @private
+	 */
+	compileFilterTerm(text, type) {
+		if (text === "is:null") {
+			return (value) => value === null || value === undefined;
+		}
+		if (text === "is:empty") {
+			return (value) =>
+				value === null ||
+				value === undefined ||
+				String(value).trim() === "";
+		}
+
+		const range = /^(.*?)\.\.(.*)$/.exec(text);
+
+		if (type === "number") {
+			if (range) {
+				const bounds = [range[1], range[2]].map((bound) => {
+					if (!bound.trim()) return null;
+					const parsed = this.parseNumericFilter(bound);
+					if (!parsed || parsed.operator !== "==") {
+						throw new Error(`Invalid range: "${text}"`);
+					}
+					return parsed.value;
+				});
+				if (bounds[0] === null && bounds[1] === null) {
+					throw new Error(`Invalid range: "${text}"`);
+				}
+				return (value) => {
+					const number = parseFloat(value);
+					return (
+						!isNaN(number) &&
+						(bounds[0] === null || number >= bounds[0]) &&
+						(bounds[1] === null || number <= bounds[1])
+					);
+				};
+			}
+			const numFilter = this.parseNumericFilter(text);
+			if (!numFilter) {
+				throw new Error(
+					`Expected a number, comparison or range (e.g. >5, 10..50): "${text}"`,
+				);
+			}
+			return (value) => this.applyNumericFilter(value, numFilter);
+		}
+
+		if (type === "date") {
+			const toTime = (value) => {
+				if (value instanceof Date) return value.getTime();
+				if (typeof value === "number") return value;
+				if (typeof value === "string") {
+					const span = this.parseFilterDate(value);
+					return span ? span.start : NaN;
+				}
+				return NaN;
+			};
+
+			if (range) {
+				const spans = [range[1], range[2]].map((bound) => {
+					if (!bound.trim()) return null;
+					const span = this.parseFilterDate(bound);
+					if (!span) throw new Error(`Invalid date range: "${text}"`);
+					return span;
+				});
+				if (!spans[0] && !spans[1]) {
+					throw new Error(`Invalid date range: "${text}"`);
+				}
+				return (value) => {
+					const time = toTime(value);
+					return (
+						!isNaN(time) &&
+						(!spans[0] || time >= spans[0].start) &&
+						(!spans[1] || time < spans[1].end)
+					);
+				};
+			}
+
+			const match = /^(==|!=|>=|<=|>|<)?\s*(.*)$/.exec(text);
+			const operator = match[1] || "==";
+			const span = this.parseFilterDate(match[2]);
+			if (!span) {
+				throw new Error(
+					`Expected a date, comparison or range (e.g. >=2024-01-01, 2024-01..2024-03): "${text}"`,
+				);
+			}
+			return (value) => {
+				const time = toTime(value);
+				if (isNaN(time)) return false;
+				switch (operator) {
+					case "!=":
+						return time < span.start || time >= span.end;
+					case ">":
+						return time >= span.end;
+					case ">=":
+						return time >= span.start;
+					case "<":
+						return time < span.start;
+					case "<=":
+						return time < span.end;
+					default:
+						return time >= span.start && time < span.end;
+				}
+			};
+		}
+
+		// Text: case-insensitive substring, or a full match with * wildcards
+		const needle = text.toLowerCase();
+		const regex = needle.includes("*")
+			? new RegExp(
+					"^" +
+						needle
+							.split("*")
+							.map((part) =>
+								part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"),
+							)
+							.join(".*") +
+						"$",
+				)
+			: null;
+		return (value) => {
+			if (value === null || value === undefined) return false;
+			const strValue = String(value).toLowerCase();
+			return regex ? regex.test(strValue) : strValue.includes(needle);
+		};
+	}
+
+	/**
+	 * Parses a date used in a filter. Partial dates cover their whole period:
+	 * '2024' is the year, '2024-03' the month and '2024-03-15' the day, all in
+	 * local time. Other strings are passed to Date.parse and match an instant.
+	 * @param {string} text - Date text
+	 * @returns {DateSpan|null} Matched time span, or null if not a date
+	 * @private
+	 */
+	parseFilterDate(text) {
+		const trimmed = text.trim();
+		const parts = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(trimmed);
+		if (parts) {
+			const year = Number(parts[1]);
+			const month = parts[2] ? Number(parts[2]) - 1 : 0;
+			const day = parts[3] ? Number(parts[3]) : 1;
+			const start = new Date(year, month, day);
+			const end = parts[3]
+				? new Date(year, month, day + 1)
+				: parts[2]
+					? new Date(year, month + 1, 1)
+					: new Date(year + 1, 0, 1);
+			return { start: start.getTime(), end: end.getTime() };
+		}
+
+		const time = trimmed ? Date.parse(trimmed) : NaN;
+		if (isNaN(time)) return null;
+		return { start: time, end: time + 1 };
+	}
+
+	/**
+	 * Gets the rows of this.data that pass the active filters, in data order.
+	 * @param {string|null} [excludeColumnId=null] - Column whose filter is ignored (for facet counts)
+	 * @returns {Array<Object>} Matching rows (a new array)
+	 * @private
+	 */
+	filterRows(excludeColumnId = null) {
+		// Compile each valid filter once per pass
+		const activeFilters = Object.entries(this.filters)
+			.filter(([id, filter]) => filter.valid && id !== excludeColumnId)
+			.map(([, filter]) => ({
+				key: filter.key,
+				literalKey: filter.literalKey,
+				test: this.compileFilter(filter),
+			}));
+
+		if (activeFilters.length === 0) return this.data.slice();
+		return this.data.filter((row) => {
+			for (const filter of activeFilters) {
+				// Get cellValue using the stored key (supports nested keys)
+				const cellValue = this.getCellValue(row, filter);
+				if (!filter.test(cellValue)) return false;
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * Applies all active filters and sorting to the data.
+	 * Updates this.filteredData with the result.
+	 */
+	applyFiltersAndSort() {
+		if (this.dataSource) {
+			// The data source has already filtered and sorted the loaded page
+			this.groups = null;
+			this.filteredData = this.data.slice();
+			this.buildDisplayRows();
+			return;
+		}
+
+		const filtered = this.filterRows();
+
+		// Apply sorting
+		const sortKeys = this.sortState
+			.map((key) => ({
+				// Find the column config for custom sort function
+				col: this.columns.find(
+					(col) => this.getColumnId(col) === key.id,
+				),
+				sign: key.direction === "desc" ? -1 : 1,
+			}))
+			.filter((key) => key.col);
+
+		if (sortKeys.length > 0) {
+			// Extract sort values once per row instead of once per comparison
+			const decorated = filtered.map((row) => ({
+				row,
+				values: sortKeys.map(({ col }) => {
+					// Get values using nested key support (use column's key, not id)
+					const value = this.getCellValue(row, col);
+					// Apply custom sort function if provided
+					return col.sortFunction
+						? col.sortFunction(value, row)
+						: value;
+				}),
+			}));
+
+			decorated.sort((a, b) => {
+				for (let i = 0; i < sortKeys.length; i++) {
+					const aVal = a.values[i];
+					const bVal = b.values[i];
+
+					// Handle nulls (always last, regardless of direction)
+					const aNull = aVal === null || aVal === undefined;
+					const bNull = bVal === null || bVal === undefined;
+					if (aNull || bNull) {
+						if (aNull && bNull) continue;
+						return aNull ? 1 : -1;
+					}
+
+					const comparison = this.compareValues(aVal, bVal);
+					if (comparison !== 0) return sortKeys[i].sign * comparison;
+				}
+				return 0;
+			});
+
+			for (let i = 0; i < decorated.length; i++) {
+				filtered[i] = decorated[i].row;
+			}
+		}
+
+		if (this.groupBy.length > 0) {
+			// Group order follows the sort, so filteredData is regrouped to match
+			this.groups = this.buildGroups(filtered, 0, []);
+			this.filteredData = [];
+			this.groups.forEach((group) => this.flattenGroup(group));
+		} else {
+			this.groups = null;
+			this.filteredData = filtered;
+		}
+		this.buildDisplayRows();
+	}
+
+	/**
+	 * Compares two non-null sort values: numerically for numbers, otherwise as strings.
+	 * @param {*} a - First value
+	 * @param {*} b - Second value
+	 * @returns {number} Negative, zero, or positive
+	 * @private
+	 */
+	compareValues(a, b) {
+		return typeof a === "number" && typeof b === "number"
+			? a - b
+			: String(a).localeCompare(String(b));
+	}
+
+	/**
+	 * Resolves the groupBy entries to data keys and labels.
+	 * Entries may name a column by ID or key, or be a plain data key.
+	 * @returns {Array<{id: string, key: string, literalKey: boolean, label: string}>} Grouping levels, outermost first
+	 * @private
+	 */
+	getGroupLevels() {
+		return this.groupBy.map((id) => {
+			const col =
+				this.columns.find((c) => this.getColumnId(c) === id) ||
+				this.columns.find((c) => c.key === id);
+			return col
+				? {
+						id: this.getColumnId(col),
+						key: col.key,
+						literalKey: Boolean(col.literalKey),
+						label: col.label || col.key,
+					}
+				: { id, key: id, literalKey: false, label: id };
+		});
+	}
+
+	/**
+	 * Splits sorted rows into nested groups, keeping the sort order within each group.
+	 * Groups are ordered by value (descending if the grouping column is sorted descending),
+	 * with the empty group last.
+	 * @param {Array<Object>} rows - Filtered, sorted rows
+	 * @param {number} level - groupBy level to split on
+	 * @param {Array<string>} path - Group values of the parent groups (for ids)
+	 * @returns {Array<RowGroup>} Groups at this level
+	 * @private
+	 */
+	buildGroups(rows, level, path) {
+		const groupLevel = this.getGroupLevels()[level];
+		const { id, label } = groupLevel;
+		const buckets = new Map();
+		rows.forEach((row) => {
+			const value = this.getCellValue(row, groupLevel);
+			const bucketKey =
+				value === null || value === undefined ? null : String(value);
+			if (!buckets.has(bucketKey)) {
+				buckets.set(bucketKey, { value, rows: [] });
+			}
+			buckets.get(bucketKey).rows.push(row);
+		});
+
+		const sortKey = this.sortState.find((k) => k.id === id);
+		const sign = sortKey && sortKey.direction === "desc" ? -1 : 1;
+		const entries = Array.from(buckets.entries()).sort(([a, x], [b, y]) => {
+			if (a === null || b === null) return a === null ? 1 : -1;
+			return sign * this.compareValues(x.value, y.value);
+		});
+
+		const isLeaf = level === this.groupBy.length - 1;
+		return entries.map(([bucketKey, bucket]) => {
+			const groupPath = path.concat([bucketKey]);
+			return {
+				id: JSON.stringify(groupPath),
+				level,
+				label,
+				value: bucket.value,
+				rows: bucket.rows,
+				start: 0,
+				children: isLeaf
+					? null
+					: this.buildGroups(bucket.rows, level + 1, groupPath),
+				info: {},
+			};
+		});
+	}
+
+	/**
+	 * Appends a group's rows to filteredData in group order, recording where it starts.
+	 * @param {RowGroup} group - Group to flatten
+	 * @private
+	 */
+	flattenGroup(group) {
+		group.start = this.filteredData.length;
+		if (group.children) {
+			group.children.forEach((child) => this.flattenGroup(child));
+		} else {
+			group.rows.forEach((row) => this.filteredData.push(row));
+		}
+	}
+
+	/**
+	 * Lists group header and data rows in display order, leaving out rows of collapsed groups.
+	 * @private
+	 */
+	buildDisplayRows() {
+		if (!this.groups) {
+			this.displayRows = null;
+			this.rowDisplayIndex = null;
+			return;
+		}
+
+		const displayRows = [];
+		const rowDisplayIndex = new Int32Array(this.filteredData.length).fill(
+			-1,
+		);
+		const visit = (group) => {
+			displayRows.push({ group });
+			if (this.collapsedGroups.has(group.id)) return;
+			if (group.children) {
+				group.children.forEach(visit);
+			} else {
+				group.rows.forEach((row, i) => {
+					rowDisplayIndex[group.start + i] = displayRows.length;
+					displayRows.push({ row, index: group.start + i });
+				});
+			}
+		};
+		this.groups.forEach(visit);
+
+		this.displayRows = displayRows;
+		this.rowDisplayIndex = rowDisplayIndex;
+	}
+
+	/**
+	 * Gets the number of displayed rows, counting group header rows.
+	 * @returns {number} Display row count
+	 * @private
+	 */
+	getDisplayCount() {
+		return this.displayRows
+			? this.displayRows.length
+			: this.filteredData.length;
+	}
+
+	/**
+	 * Gets the row shown at a display position.
+	 * @param {number} position - Display position
+	 * @returns {{group: RowGroup}|{row: Object, index: number}|null} Group header, or data row with its filteredData index; null if out of range
+	 * @private
+	 */
+	getDisplayItem(position) {
+		if (position < 0 || position >= this.getDisplayCount()) return null;
+		return this.displayRows
+			? this.displayRows[position]
+			: { row: this.filteredData[position], index: position };
+	}
+
+	/**
+	 * Gets the display position of a row.
+	 * @param {number} index - Index into filteredData
+	 * @returns {number} Display position, or -1 if the row is in a collapsed group
+	 * @private
+	 */
+	getDisplayIndex(index) {
+		return this.rowDisplayIndex ? this.rowDisplayIndex[index] : index;
+	}
+
+	/**
+	 * Finds the first data row from a display position in one direction, skipping group rows.
+	 * @param {number} position - Display position to start at
+	 * @param {1|-1} direction - Search direction
+	 * @param {number} limit - Last display position to check (inclusive)
+	 * @returns {number} Index into filteredData, or -1 if there is no data row in range
+	 * @private
+	 */
+	findDataRow(position, direction, limit) {
+		for (
+			let i = position;
+			direction > 0 ? i <= limit : i >= limit;
+			i += direction
+		) {
+			const item = this.getDisplayItem(i);
+			if (!item) break;
+			if (!item.group) return item.index;
+		}
+		return -1;
+	}
+
+	/**
+	 * Sets the grouping keys and re-renders.
+	 * @param {Array<string>} groupBy - Column IDs (or data keys), outermost first; empty to ungroup
+	 */
+	setGroupBy(groupBy) {
+		if (this.dataSource && groupBy && groupBy.length > 0) {
+			throw new Error("groupBy cannot be combined with dataSource");
+		}
+		this.groupBy = groupBy || [];
+		this.currentPage = 1;
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Expands or collapses a group.
+	 * @param {string} groupId - RowGroup id
+	 * @param {boolean} [collapsed] - New state (toggles if omitted)
+	 */
+	toggleGroup(groupId, collapsed = !this.collapsedGroups.has(groupId)) {
+		if (collapsed) {
+			this.collapsedGroups.add(groupId);
+		} else {
+			this.collapsedGroups.delete(groupId);
+		}
+		this.refreshGroups();
+	}
+
+	/**
+	 * Expands every group.
+	 */
+	expandAllGroups() {
+		this.collapsedGroups.clear();
+		this.refreshGroups();
+	}
+
+	/**
+	 * Collapses every group, at all levels.
+	 */
+	collapseAllGroups() {
+		const visit = (group) => {
+			this.collapsedGroups.add(group.id);
+			if (group.children) group.children.forEach(visit);
+		};
+		(this.groups || []).forEach(visit);
+		this.refreshGroups();
+	}
+
+	/**
+	 * Gets the current groups.
+	 * @returns {Array<RowGroup>} Top-level groups (empty when not grouping)
+	 */
+	getGroups() {
+		return this.groups || [];
+	}
+
+	/**
+	 * Re-renders after groups were expanded or collapsed.
+	 * @private
+	 */
+	refreshGroups() {
+		this.buildDisplayRows();
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Expands the collapsed groups that contain a row, so that it is displayed.
+	 * @param {number} index - Index into filteredData
+	 * @private
+	 */
+	revealRow(index) {
+		const visit = (group) => {
+			if (
+				index < group.start ||
+				index >= group.start + group.rows.length
+			) {
+				return;
+			}
+			this.collapsedGroups.delete(group.id);
+			if (group.children) group.children.forEach(visit);
+		};
+		(this.groups || []).forEach(visit);
+		this.buildDisplayRows();
+	}
+
+	/**
+	 * Gets the data rows for the current page.
+	 * @returns {Array<Object>} Array of row objects for the current page
+	 */
+	getPageData() {
+		if (this.displayRows) {
+			return this.displayRows
+				.slice(this.getPageStartIndex(), this.getPageEndIndex() + 1)
+				.filter((item) => !item.group)
+				.map((item) => item.row);
+		}
+		// Virtual scrolling replaces pagination: every filtered row is on the single "page"
+		if (this.virtualScroll) return this.filteredData;
+		const start = this.getPageStartIndex();
+		const end = start + this.pageSize;
+		return this.filteredData.slice(start, end);
+	}
+
+	/**
+	 * Gets the display position of the first row on the current page.
+	 * This is an index into filteredData unless rows are grouped.
+	 * @returns {number} Start position
+	 * @private
+	 */
+	getPageStartIndex() {
+		// With a dataSource only the current page is loaded
+		if (this.virtualScroll || this.dataSource) return 0;
+		return (this.currentPage - 1) * this.pageSize;
+	}
+
+	/**
+	 * Gets the display position of the last row on the current page.
+	 * @returns {number} End position (inclusive), or start - 1 if the page is empty
+	 * @private
+	 */
+	getPageEndIndex() {
+		const count = this.getDisplayCount();
+		if (this.virtualScroll) return count - 1;
+		return Math.min(count, this.getPageStartIndex() + this.pageSize) - 1;
+	}
+
+	/**
+	 * Calculates the total number of pages based on filtered data and page size.
+	 * Group header rows take up space on pages like data rows.
+	 * @returns {number} Total page count
+	 */
+	getTotalPages() {
+		if (this.dataSource) return Math.ceil(this.remoteTotal / this.pageSize);
+		const count = this.getDisplayCount();
+		if (this.virtualScroll) return Math.min(1, count);
+		return Math.ceil(count / this.pageSize);
+	}
+
+	/**
+	 * Validates and adjusts currentPage to be within valid bounds.
+	 * @private
+	 */
+	validateCurrentPage() {
+		const totalPages = this.getTotalPages();
+		if (this.currentPage > totalPages && totalPages > 0) {
+			this.currentPage = totalPages;
+		} else if (this.currentPage < 1) {
+			this.currentPage = 1;
+		}
+	}
+
+	/**
+	 * Renders the complete table including data rows, pagination, and icons.
+	 */
+	render() {
+		if (!this.emit("beforeRender", {}, true)) return;
+		if (this.dataSource) {
+			// Rows already loaded stay visible (dimmed) until the new page arrives
+			this.requestRemoteData();
+			this.tbody.style.opacity = this.loading ? "0.5" : "";
+			this.tableElement.setAttribute("aria-busy", String(this.loading));
+		}
+		// Re-rendering replaces body cells, so remember whether one of them had focus
+		const hadCellFocus = this.isGridCell(document.activeElement);
+		this.columnRanges.clear(); // Filters or values may have changed
+		this.renderTable();
+		this.renderPagination();
+		this.updateSortIcons();
+		this.updateInfoRow();
+		this.updateSummaryRow();
+		this.updateSelectAllState();
+		this.tableElement.setAttribute(
+			"aria-rowcount",
+			String(
+				this.getHeaderRowCount() +
+					(this.dataSource
+						? this.remoteTotal
+						: this.getDisplayCount()) +
+					(this.summaryRow ? 1 : 0),
+			),
+		);
+		this.tableElement.setAttribute(
+			"aria-colcount",
+			String(this.getColumnCount()),
+		);
+		this.updatePinnedOffsets();
+		this.syncFocusedCell(hadCellFocus);
+		this.scheduleSaveState();
+		this.emit("afterRender", { rowCount: this.filteredData.length });
+	}
+
+	/**
+	 * Updates the sort indicator icons in column headers.
+	 * When sorting by more than one column, each sorted header also shows its priority.
+	 * @private
+	 */
+	updateSortIcons() {
+		const columns = this.getVisibleColumns();
+		this.headerCells.forEach((th, index) => {
+			const col = columns[index];
+			const sortIcon = th.querySelector(`.${this.cssClass("sort-icon")}`);
+			if (!sortIcon) return;
+
+			const priority = this.sortState.findIndex(
+				(key) => key.id === this.getColumnId(col),
+			);
+			// Position of this column in a multi-column sort
+			const sortPriority = this.createStyledElement(
+				"sup",
+				"sort-priority",
+				{ fontSize: "0.7em", marginLeft: "1px" },
+			);
+
+			// Screen readers expect aria-sort on the primary sort column only
+			th.setAttribute(
+				"aria-sort",
+				priority === 0
+					? this.sortState[0].direction === "asc"
+						? "ascending"
+						: "descending"
+					: "none",
+			);
+
+			if (priority === -1) {
+				sortIcon.innerHTML = _TABLE_CONSTS.ICONS.sort;
+				sortIcon.style.opacity =
+					_TABLE_CONSTS.FEEDBACK.ICON_OPACITY_INACTIVE;
+			} else {
+				sortIcon.innerHTML =
+					this.sortState[priority].direction === "asc"
+						? _TABLE_CONSTS.ICONS.sortUp
+						: _TABLE_CONSTS.ICONS.sortDown;
+				sortIcon.style.opacity =
+					_TABLE_CONSTS.FEEDBACK.ICON_OPACITY_ACTIVE;
+				if (this.sortState.length > 1) {
+					sortPriority.textContent = String(priority + 1);
+				}
+			}
+			sortIcon.appendChild(sortPriority);
+		});
+	}
+
+	/**
+	 * Updates the info row with recalculated column statistics.
+	 * @private
+	 */
+	updateInfoRow() {
+		if (!this.showInfo || !this.infoRow) return;
+
+		const infoCells = this.infoRow.querySelectorAll(
+			`.${this.cssClass("info-cell")}`,
+		);
+		const columns = this.getVisibleColumns();
+		infoCells.forEach((cell, index) => {
+			const col = columns[index];
+			cell.innerHTML = this.calculateColumnInfo(col);
+		});
+	}
+
+	/**
+	 * Updates the summary footer with each column's aggregate over the summarized rows.
+	 * @private
+	 */
+	updateSummaryRow() {
+		if (!this.summaryRow) return;
+		const rows = this.getSummaryRows();
+		const offset = this.getControlColumns().length;
+		this.summaryRow.setAttribute(
+			"aria-rowindex",
+			String(
+				this.getHeaderRowCount() +
+					(this.dataSource
+						? this.remoteTotal
+						: this.getDisplayCount()) +
+					1,
+			),
+		);
+		this.getVisibleColumns().forEach((col, index) => {
+			const td = this.summaryRow.cells[offset + index];
+			td.innerHTML = "";
+			if (!col.aggregate) return;
+			const value = this.computeAggregate(col, rows);
+
+			if (typeof col.aggregate === "function") {
+				if (value instanceof HTMLElement) {
+					td.appendChild(value);
+				} else {
+					td.textContent =
+						typeof value === "number"
+							? this.formatValue(value, col)
+							: String(value ?? "");
+				}
+				return;
+			}
+
+			const label = this.createStyledElement("span", "summary-label", {
+				color: _TABLE_CONSTS.COLORS.MUTED_TEXT,
+				fontWeight: "normal",
+				marginRight: _TABLE_CONSTS.SPACING.MARGIN_ICON,
+			});
+			label.textContent = _TABLE_CONSTS.AGGREGATES[col.aggregate];
+			const text = this.createStyledElement("span", "summary-value", {});
+			if (value === null) {
+				text.textContent = "";
+			} else if (
+				col.aggregate === "count" ||
+				col.aggregate === "nunique"
+			) {
+				text.textContent = value.toLocaleString(); // Counts are not in the column's units
+			} else {
+				text.textContent = this.formatValue(value, col);
+			}
+			td.title = `${col.aggregate} (${_TABLE_CONSTS.SUMMARY_SCOPES[this.summaryScope].toLowerCase()})`;
+			td.appendChild(label);
+			td.appendChild(text);
+		});
+	}
+
+	/**
+	 * Gets the rows described by the summary footer.
+	 * In dataSource mode, only the loaded page is available.
+	 * @returns {Array<Object>} Row data objects
+	 * @private
+	 */
+	getSummaryRows() {
+		return this.summaryScope === "all" ? this.data : this.filteredData;
+	}
+
+	/**
+	 * Computes a column's aggregate (the `aggregate` option) over some rows.
+	 * Null and undefined values are skipped; built-in aggregates are computed by STATS (stats.js).
+	 * @param {ColumnConfig} col - Column configuration
+	 * @param {Array<Object>} [rows] - Rows to aggregate (defaults to the rows the summary footer describes)
+	 * @returns {*} Aggregate value; sum, mean, median, and std are null without numeric values
+	 * @throws {Error} If the column has no aggregate
+	 */
+	computeAggregate(col, rows = this.getSummaryRows()) {
+		if (!col.aggregate) {
+			throw new Error(
+				`Column has no aggregate: ${this.getColumnId(col)}`,
+			);
+		}
+		const values = rows
+			.map((row) => this.getCellValue(row, col))
+			.filter((value) => value !== null && value !== undefined);
+		if (typeof col.aggregate === "function") {
+			return col.aggregate(values, rows, col);
+		}
+		return this.getStats()[col.aggregate](values);
+	}
+
+	/**
+	 * Switches the summary footer between the rows passing the filters and all rows.
+	 * @param {'filtered'|'all'} scope - Rows to summarize
+	 * @throws {Error} If the scope is unknown
+	 */
+	setSummaryScope(scope) {
+		if (!(scope in _TABLE_CONSTS.SUMMARY_SCOPES)) {
+			throw new Error(`Unknown summary scope: ${scope}`);
+		}
+		this.summaryScope = scope;
+		this.updateSummaryRow();
+		this.renderPagination(); // Sync the scope selector
+	}
+
+	/**
+	 * Renders the table body with current page data.
+	 * @private
+	 */
+	renderTable() {
+		if (this.pendingPatch) {
+			this.patchTableRows(this.pendingPatch);
+			return;
+		}
+		if (this.virtualScroll) {
+			this.renderVirtualRows(true);
+			return;
+		}
+
+		this.tbody.innerHTML = "";
+		this.editing = null; // Any open editor was discarded with the old rows
+
+		const start = this.getPageStartIndex();
+		const end = this.getPageEndIndex();
+
+		if (end < start) {
+			this.tbody.appendChild(this.createEmptyRow());
+			return;
+		}
+
+		for (let position = start; position <= end; position++) {
+			const item = this.getDisplayItem(position);
+			if (item.group) {
+				this.tbody.appendChild(
+					this.createGroupRow(item.group, position),
+				);
+			} else {
+				const tr = this.createDataRow();
+				this.updateDataRow(tr, item.row, item.index, position);
+				this.tbody.appendChild(tr);
+				if (this.isRowExpanded(item.row)) {
+					this.tbody.appendChild(this.createDetailRow(item.row));
+				}
+			}
+		}
+	}
+
+	/**
+	 * Renders the table body by reusing the rows already rendered, so that only new and changed
+	 * rows are re-rendered and the scroll position is kept.
+	 * @param {Map<Object, Set<string>|null>} updated - Changed rows, with the column IDs to highlight
+	 * @private
+	 */
+	patchTableRows(updated) {
+		const rendered = [];
+		if (this.virtualScroll) {
+			// Rows already showing the right data are skipped unless they changed
+			this.renderVirtualRows();
+			this.virtualRowPool.forEach((tr) => {
+				if (!tr._tablejsRow) return;
+				if (updated.has(tr._tablejsRow)) {
+					this.updateDataRow(
+						tr,
+						tr._tablejsRow,
+						tr._tablejsIndex,
+						this.getDisplayIndex(tr._tablejsIndex),
+					);
+				}
+				rendered.push(tr);
+			});
+		} else {
+			const start = this.getPageStartIndex();
+			const end = this.getPageEndIndex();
+			const rowElements = new Map();
+			const detailElements = new Map();
+			Array.from(this.tbody.rows).forEach((tr) => {
+				if (tr._tablejsDetailRow) {
+					detailElements.set(tr._tablejsDetailRow, tr);
+				} else if (tr._tablejsRow) {
+					rowElements.set(tr._tablejsRow, tr);
+				}
+			});
+
+			const nodes = [];
+			for (let position = start; position <= end; position++) {
+				const item = this.getDisplayItem(position);
+				if (item.group) {
+					nodes.push(this.createGroupRow(item.group, position));
+					continue;
+				}
+				let tr = rowElements.get(item.row);
+				if (!tr) {
+					tr = this.createDataRow();
+					this.updateDataRow(tr, item.row, item.index, position);
+				} else if (
+					updated.has(item.row) ||
+					tr._tablejsIndex !== item.index ||
+					tr.getAttribute("aria-rowindex") !==
+						String(this.getHeaderRowCount() + position + 1)
+				) {
+					this.updateDataRow(tr, item.row, item.index, position);
+				}
+				nodes.push(tr);
+				rendered.push(tr);
+				if (this.isRowExpanded(item.row)) {
+					const detail = detailElements.get(item.row);
+					nodes.push(
+						detail && !updated.has(item.row)
+							? detail
+							: this.createDetailRow(item.row),
+					);
+				}
+			}
+			if (nodes.length === 0) nodes.push(this.createEmptyRow());
+
+			// Move rows into place, leaving rows already in place where they are
+			let cursor = this.tbody.firstChild;
+			nodes.forEach((node) => {
+				if (node === cursor) {
+					cursor = cursor.nextSibling;
+				} else {
+					this.tbody.insertBefore(node, cursor);
+				}
+			});
+			while (cursor) {
+				const next = cursor.nextSibling;
+				if (this.editing && cursor.contains(this.editing.td)) {
+					this.editing = null;
+				}
+				cursor.remove();
+				cursor = next;
+			}
+		}
+
+		rendered.forEach((tr) => {
+			const columnIds = updated.get(tr._tablejsRow);
+			if (columnIds) this.highlightCells(tr, columnIds);
+		});
+	}
+
+	/**
+	 * Briefly highlights cells whose values were changed by upsertRows().
+	 * @param {HTMLTableRowElement} tr - Data row element
+	 * @param {Set<string>} columnIds - IDs of the columns to highlight
+	 * @private
+	 */
+	highlightCells(tr, columnIds) {
+		const offset = this.getControlColumns().length;
+		this.getVisibleColumns().forEach((col, index) => {
+			if (!columnIds.has(this.getColumnId(col))) return;
+			const td = tr.cells[offset + index];
+			// An inset shadow tints the cell above its own background (e.g. heatmaps)
+			td.style.transition = "";
+			td.style.boxShadow = `inset 0 0 0 100vmax ${_TABLE_CONSTS.COLORS.UPDATED_BG}`;
+			td.classList.add(this.cssClass("cell-updated"));
+			clearTimeout(td._tablejsHighlight);
+			td._tablejsHighlight = setTimeout(() => {
+				td.style.transition = _TABLE_CONSTS.FEEDBACK.UPDATE_FADE;
+				td.style.boxShadow = "";
+				td.classList.remove(this.cssClass("cell-updated"));
+			}, _TABLE_CONSTS.FEEDBACK.UPDATE_HIGHLIGHT);
+		});
+	}
+
+	/**
+	 * Creates the detail row shown under an expanded row, filled by the detailRenderer.
+	 * @param {Object} row - Row data object
+	 * @returns {HTMLTableRowElement} Detail row element
+	 * @private
+	 */
+	createDetailRow(row) {
+		const tr = this.createStyledElement("tr", "detail-row", {
+			backgroundColor: this.getDataRowBackground(),
+		});
+		tr.setAttribute("role", "row");
+		tr._tablejsDetailRow = row;
+
+		const td = this.createStyledElement("td", "detail-cell", {
+			padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
+			borderBottom: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+		});
+		td.setAttribute("role", "gridcell");
+		td.colSpan = this.getColumnCount();
+		td.setAttribute("aria-colspan", String(this.getColumnCount()));
+
+		const rendered = this.detailRenderer(row);
+		if (typeof rendered === "string") {
+			td.innerHTML = rendered;
+		} else if (rendered) {
+			td.appendChild(rendered);
+		}
+		tr.appendChild(td);
+		return tr;
+	}
+
+	/**
+	 * Creates a group header row with a collapse toggle, the group value and row count,
+	 * and per-column aggregates computed like the info row's statistics.
+	 * @param {RowGroup} group - Group to render
+	 * @param {number} position - Display position of the row
+	 * @returns {HTMLTableRowElement} Group header row element
+	 * @private
+	 */
+	createGroupRow(group, position) {
+		const tr = this.createStyledElement("tr", "group-row", {
+			backgroundColor: _TABLE_CONSTS.COLORS.GROUP_BG,
+		});
+		tr.setAttribute("role", "row");
+		tr.setAttribute(
+			"aria-rowindex",
+			String(this.getHeaderRowCount() + position + 1),
+		);
+		tr._tablejsGroup = group;
+
+		this.getControlColumns().forEach((control) => {
+			tr.appendChild(this.createControlCell("group", control));
+		});
+
+		const collapsed = this.collapsedGroups.has(group.id);
+		const groupingIds = this.getGroupLevels().map((level) => level.id);
+		this.getVisibleColumns().forEach((col, index) => {
+			const td = this.createStyledElement("td", "group-cell", {
+				padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
+				borderBottom: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+				whiteSpace: "nowrap",
+				overflow: "hidden",
+				textOverflow: "ellipsis",
+			});
+			td.setAttribute("role", "gridcell");
+
+			if (index === 0) {
+				td.style.paddingLeft = `calc(${_TABLE_CONSTS.SPACING.PADDING_CELL} + ${group.level * 1.5}em)`;
+				const toggle = this.createStyledElement(
+					"button",
+					"group-toggle",
+					{
+						border: "none",
+						background: "none",
+						cursor: "pointer",
+						padding: "0 4px 0 0",
+						font: "inherit",
+						fontWeight: "bold",
+					},
+				);
+				toggle.setAttribute("aria-expanded", String(!collapsed));
+				const value =
+					group.value === null || group.value === undefined
+						? _TABLE_CONSTS.MESSAGES.EMPTY_GROUP
+						: typeof group.value === "number"
+							? group.value.toLocaleString()
+							: String(group.value);
+				toggle.textContent = `${collapsed ? _TABLE_CONSTS.ICONS.collapsed : _TABLE_CONSTS.ICONS.expanded} ${group.label}: ${value} (${group.rows.length.toLocaleString()})`;
+				toggle.addEventListener("click", () => {
+					this.toggleGroup(group.id);
+					// The row was re-rendered, so move focus to its new toggle
+					for (const row of this.tbody.rows) {
+						if (
+							row._tablejsGroup &&
+							row._tablejsGroup.id === group.id
+						) {
+							row.querySelector("button").focus();
+						}
+					}
+				});
+				td.appendChild(toggle);
+			} else if (!groupingIds.includes(this.getColumnId(col))) {
+				td.style.fontSize = "0.9em";
+				td.style.fontStyle = "italic";
+				td.style.color = _TABLE_CONSTS.COLORS.MUTED_TEXT;
+				if (col.align) td.style.textAlign = col.align;
+				const id = this.getColumnId(col);
+				if (!(id in group.info)) {
+					group.info[id] = this.calculateColumnInfo(col, group.rows);
+				}
+				td.innerHTML = group.info[id];
+			}
+			tr.appendChild(td);
+		});
+
+		if (this.virtualScroll && this.rowHeight) {
+			tr.style.height = this.rowHeight + "px";
+		}
+
+		this.applyPinnedStyles(tr);
+		return tr;
+	}
+
+	/**
+	 * Creates the placeholder row shown when there is no data to display.
+	 * @returns {HTMLTableRowElement} Empty-state row
+	 * @private
+	 */
+	createEmptyRow() {
+		const tr = this.createStyledElement("tr", "empty-row");
+		const td = this.createStyledElement("td", "empty-cell", {
+			textAlign: "center",
+			padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
+			fontStyle: "italic",
+			color: _TABLE_CONSTS.COLORS.MUTED_TEXT,
+		});
+		td.colSpan = this.getColumnCount();
+		if (this.loading) {
+			td.textContent = _TABLE_CONSTS.MESSAGES.LOADING;
+		} else if (this.loadError) {
+			td.textContent = _TABLE_CONSTS.MESSAGES.LOAD_ERROR;
+			td.title = String(this.loadError.message || this.loadError);
+		} else {
+			td.textContent = _TABLE_CONSTS.MESSAGES.NO_DATA;
+		}
+		tr.appendChild(td);
+		return tr;
+	}
+
+	/**
+	 * Creates an empty, styled data row with one cell per column.
+	 * Cells are filled by updateDataRow() so the row can be reused for other data.
+	 * @returns {HTMLTableRowElement} Data row element
+	 * @private
+	 */
+	createDataRow() {
+		const tr = this.createStyledElement("tr", "data-row", {
+			backgroundColor: this.getDataRowBackground(),
+		});
+		tr.setAttribute("role", "row");
+
+		this.getControlColumns().forEach((control) => {
+			tr.appendChild(this.createControlCell("data", control));
+		});
+
+		this.getVisibleColumns().forEach((col) => {
+			const tdStyles = {
+				padding: _TABLE_CONSTS.SPACING.PADDING_CELL,
+				borderBottom: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			};
+
+			if (col.align) {
+				tdStyles.textAlign = col.align;
+			}
+
+			// Fixed-height rows must not wrap
+			if (this.virtualScroll) {
+				tdStyles.whiteSpace = "nowrap";
+				tdStyles.overflow = "hidden";
+				tdStyles.textOverflow = "ellipsis";
+			}
+
+			const td = this.createStyledElement("td", "data-cell", tdStyles);
+			td.setAttribute("role", "gridcell");
+			td.setAttribute("aria-colindex", String(tr.cells.length + 1));
+			td.tabIndex = -1;
+			tr.appendChild(td);
+		});
+
+		if (this.virtualScroll && this.rowHeight) {
+			tr.style.height = this.rowHeight + "px";
+		}
+
+		this.applyPinnedStyles(tr);
+		return tr;
+	}
+
+	/**
+	 * Gets the background of unselected data rows. Rows are transparent unless
+	 * columns are pinned, whose cells inherit the row background to hide the cells behind them.
+	 * @returns {string} CSS background color
+	 * @private
+	 */
+	getDataRowBackground() {
+		return this.hasPinnedColumns() ? _TABLE_CONSTS.COLORS.BODY_BG : "";
+	}
+
+	/**
+	 * Fills the cells of a row created by createDataRow() with a row's values.
+	 * @param {HTMLTableRowElement} tr - Row element to fill
+	 * @param {Object} row - Row data object
+	 * @param {number} index - Index of the row in filteredData
+	 * @param {number} [position=index] - Display position of the row (differs from index when grouping)
+	 * @private
+	 */
+	updateDataRow(tr, row, index, position = index) {
+		// Reused rows (virtual scrolling) drop an editor open in them
+		if (this.editing && this.editing.td.parentNode === tr) {
+			this.editing = null;
+		}
+		tr._tablejsRow = row;
+		tr._tablejsIndex = index;
+		// Rows loaded from a dataSource are numbered within the full result
+		const pageOffset = this.dataSource
+			? (this.currentPage - 1) * this.pageSize
+			: 0;
+		tr.setAttribute(
+			"aria-rowindex",
+			String(this.getHeaderRowCount() + pageOffset + position + 1),
+		);
+		const offset = this.getControlColumns().length;
+		this.getVisibleColumns().forEach((col, index) => {
+			const td = tr.cells[offset + index];
+			td.innerHTML = "";
+			this.renderCell(td, row, col);
+		});
+		this.updateRowSelectionState(tr);
+		this.updateRowDetailState(tr);
+	}
+
+	/**
+	 * Renders a single cell value, using the column's custom renderer if present.
+	 * @param {HTMLTableCellElement} td - Cell element to render into
+	 * @param {Object} row - Row data object
+	 * @param {ColumnConfig} col - Column configuration
+	 * @private
+	 */
+	renderCell(td, row, col) {
+		let value;
+		try {
+			value = this.getCellValue(row, col);
+		} catch (e) {
+			console.error(
+				`Error accessing key '${col.key}' in row '${row}' for col '${col}'. error: '${e}'`,
+			);
+			console.error("col", col);
+			console.error("row", row);
+			console.error("this.data", this.data);
+			console.error("this.columns", this.columns);
+			console.error("this.filteredData", this.filteredData);
+			console.error("this.tbody", this.tbody);
+			throw e;
+		}
+
+		// Check for custom renderer in column definition
+		if (col.renderer) {
+			const rendered = col.renderer(value, row, col);
+			if (typeof rendered === "string") {
+				td.innerHTML = rendered;
+			} else {
+				td.appendChild(rendered);
+			}
+		} else if (col.render && this.renderBuiltInCell(td, value, col)) {
+			// Rendered by a built-in renderer
+		} else {
+			// Default rendering
+			td.textContent = this.formatValue(value, col);
+		}
+	}
+
+	/**
+	 * Formats a value as text with the column's formatter, or the default formatting.
+	 * @param {*} value - Cell value
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {string} Display text (empty for null/undefined)
+	 * @private
+	 */
+	formatValue(value, col) {
+		if (value === null || value === undefined) return "";
+		if (col.formatter) return String(col.formatter(value));
+		if (col.type === "number" && typeof value === "number") {
+			return value.toLocaleString();
+		}
+		return String(value);
+	}
+
+	/**
+	 * Checks a column's built-in renderer settings.
+	 * @param {ColumnConfig} col - Column configuration
+	 * @throws {Error} If the renderer or heatmap colormap name is unknown
+	 * @private
+	 */
+	validateColumnRender(col) {
+		if (!col.render) return;
+		if (!_TABLE_CONSTS.RENDERERS.NAMES.includes(col.render)) {
+			throw new Error(`Unknown column render: ${col.render}`);
+		}
+		const colormap = col.renderOptions?.colormap;
+		// Colormaps can only be checked when ColorUtil.js is loaded
+		if (
+			col.render === "heatmap" &&
+			colormap &&
+			typeof COLORMAPS !== "undefined" &&
+			!(colormap in COLORMAPS)
+		) {
+			throw new Error(`Unknown colormap: ${colormap}`);
+		}
+	}
+
+	/**
+	 * Renders a cell with the column's built-in renderer (the `render` option).
+	 * Renderers that need sparklines.js or ColorUtil.js fall back to plain text
+	 * when those scripts are not loaded.
+	 * @param {HTMLTableCellElement} td - Cell element to render into
+	 * @param {*} value - Cell value
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {boolean} False if the value should get the default rendering instead
+	 * @private
+	 */
+	renderBuiltInCell(td, value, col) {
+		const options = col.renderOptions || {};
+		td.removeAttribute("title");
+
+		switch (col.render) {
+			case "sparkline":
+			case "sparkbars": {
+				const plotFunction =
+					col.render === "sparkline"
+						? typeof sparkline === "function"
+							? sparkline
+							: null
+						: typeof sparkbars === "function"
+							? sparkbars
+							: null;
+				if (!Array.isArray(value) && !ArrayBuffer.isView(value)) {
+					return false;
+				}
+				const values = Array.from(value);
+				if (values.length === 0) return true;
+				if (!plotFunction) {
+					td.textContent = values.join(", ");
+					return true;
+				}
+				td.innerHTML = plotFunction(values, null, {
+					..._TABLE_CONSTS.RENDERERS.SPARKLINE,
+					...options,
+				});
+				td.title = values.join(", ");
+				return true;
+			}
+
+			case "heatmap": {
+				// Reused cells (virtual scrolling) may still hold another value's colors
+				td.style.backgroundColor = td.classList.contains(
+					this.cssClass("pinned-cell"),
+				)
+					? "inherit"
+					: "";
+				td.style.color = "";
+				if (typeof value !== "number" || isNaN(value)) return false;
+				td.textContent = value.toLocaleString();
+				if (typeof getColorForValue !== "function") return true;
+				const range = this.getColumnRange(col);
+				const color = getColorForValue(
+					value,
+					{
+						min: options.min ?? range.min,
+						max: options.max ?? range.max,
+					},
+					options.colormap ||
+						_TABLE_CONSTS.RENDERERS.HEATMAP_COLORMAP,
+				);
+				td.style.backgroundColor = color;
+				// Keep text readable on the dark end of the colormap
+				const rgb = /^rgb\((\d+), (\d+), (\d+)\)/.exec(color);
+				const luminance = rgb
+					? (0.299 * rgb[1] + 0.587 * rgb[2] + 0.114 * rgb[3]) / 255
+					: 1;
+				td.style.color = luminance < 0.5 ? "white" : "";
+				return true;
+			}
+
+			case "bar": {
+				if (typeof value !== "number" || isNaN(value)) return false;
+				const range = this.getColumnRange(col);
+				const min = options.min ?? Math.min(0, range.min);
+				const max = options.max ?? range.max;
+				const fraction =
+					max > min
+						? Math.max(0, Math.min(1, (value - min) / (max - min)))
+						: 0;
+
+				const wrapper = this.createStyledElement("div", "cell-bar", {
+					display: "flex",
+					alignItems: "center",
+					gap: _TABLE_CONSTS.SPACING.MARGIN_ICON,
+				});
+				const track = this.createStyledElement(
+					"div",
+					"cell-bar-track",
+					{
+						flex: "1 1 auto",
+						minWidth: "2em",
+						height: _TABLE_CONSTS.RENDERERS.BAR_HEIGHT,
+						backgroundColor: _TABLE_CONSTS.RENDERERS.BAR_BG,
+						borderRadius: "2px",
+						overflow: "hidden",
+					},
+				);
+				const fill = this.createStyledElement("div", "cell-bar-fill", {
+					width: `${(fraction * 100).toFixed(1)}%`,
+					height: "100%",
+					backgroundColor:
+						options.color || _TABLE_CONSTS.RENDERERS.BAR_COLOR,
+				});
+				track.appendChild(fill);
+				wrapper.appendChild(track);
+				if (options.showValue !== false) {
+					const label = this.createStyledElement(
+						"span",
+						"cell-bar-label",
+					);
+					label.textContent = value.toLocaleString();
+					wrapper.appendChild(label);
+				}
+				td.appendChild(wrapper);
+				td.title = value.toLocaleString();
+				return true;
+			}
+
+			case "json": {
+				if (value === undefined) return false;
+				const pre = this.createStyledElement("pre", "cell-json", {
+					margin: "0",
+					fontFamily: "monospace",
+					fontSize: "0.9em",
+					whiteSpace: "pre-wrap",
+				});
+				let text;
+				try {
+					text = JSON.stringify(value, null, options.indent || 0);
+				} catch (e) {
+					text = String(value); // e.g. circular structures
+				}
+				pre.textContent = text;
+				td.appendChild(pre);
+				return true;
+			}
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Gets the minimum and maximum numeric value of a column over the filtered rows.
+	 * Cached until the next render.
+	 * @param {ColumnConfig} col - Column configuration
+	 * @returns {{min: number, max: number}} Value range (0 to 0 if there are no numbers)
+	 * @private
+	 */
+	getColumnRange(col) {
+		const id = this.getColumnId(col);
+		if (!this.columnRanges.has(id)) {
+			let min = Infinity;
+			let max = -Infinity;
+			this.filteredData.forEach((row) => {
+				const value = this.getCellValue(row, col);
+				if (typeof value === "number" && !isNaN(value)) {
+					if (value < min) min = value;
+					if (value > max) max = value;
+				}
+			});
+			this.columnRanges.set(
+				id,
+				min <= max ? { min, max } : { min: 0, max: 0 },
+			);
+		}
+		return this.columnRanges.get(id);
+	}
+
+	/**
+	 * Gets the row height used for virtual scroll calculations.
+	 * @returns {number} Row height in pixels
+	 * @private
+	 */
+	getRowHeight() {
+		return (
+			this.rowHeight ||
+			this.measuredRowHeight ||
+			_TABLE_CONSTS.VIRTUAL.DEFAULT_ROW_HEIGHT
+		);
+	}
+
+	/**
+	 * Schedules a virtual row render on the next animation frame.
+	 * Multiple scroll events within one frame result in a single render.
+	 * @private
+	 */
+	scheduleVirtualRender() {
+		if (this.virtualFrame) return;
+		this.virtualFrame = requestAnimationFrame(() => {
+			this.virtualFrame = null;
+			this.renderVirtualRows();
+		});
+	}
+
+	/**
+	 * Renders only the rows visible in the scroll viewport (plus an overscan margin).
+	 * Spacer rows above and below stand in for the rows that are not rendered,
+	 * and row elements are reused between renders rather than recreated.
+	 * @param {boolean} [force=false] - Refill every pooled row even if it already shows the same row object
+	 * @private
+	 */
+	renderVirtualRows(force = false) {
+		const total = this.getDisplayCount();
+
+		if (total === 0) {
+			this.tbody.innerHTML = "";
+			this.virtualRowPool = [];
+			this.tbody.appendChild(this.createEmptyRow());
+			return;
+		}
+
+		// (Re)create the spacer rows after an empty state or a structure rebuild
+		if (
+			!this.virtualTopSpacer ||
+			this.virtualTopSpacer.parentNode !== this.tbody
+		) {
+			this.tbody.innerHTML = "";
+			this.virtualRowPool = [];
+			this.virtualTopSpacer = this.createVirtualSpacer();
+			this.virtualBottomSpacer = this.createVirtualSpacer();
+			this.tbody.appendChild(this.virtualTopSpacer);
+			this.tbody.appendChild(this.virtualBottomSpacer);
+		}
+
+		const rowHeight = this.getRowHeight();
+		const overscan = _TABLE_CONSTS.VIRTUAL.OVERSCAN_ROWS;
+		const viewportHeight =
+			this.tableContainer.clientHeight ||
+			parseFloat(this.viewportHeight) ||
+			0;
+		const bodyScrollTop = Math.max(
+			0,
+			this.tableContainer.scrollTop - this.thead.offsetHeight,
+		);
+
+		const visibleCount =
+			Math.ceil(viewportHeight / rowHeight) + 2 * overscan;
+		const count = Math.min(total, visibleCount);
+		const start = Math.max(
+			0,
+			Math.min(
+				Math.floor(bodyScrollTop / rowHeight) - overscan,
+				total - count,
+			),
+		);
+
+		// Grow or shrink the pool of reusable row elements
+		while (this.virtualRowPool.length < count) {
+			const tr = this.createDataRow();
+			this.tbody.insertBefore(tr, this.virtualBottomSpacer);
+			this.virtualRowPool.push(tr);
+		}
+		while (this.virtualRowPool.length > count) {
+			this.virtualRowPool.pop().remove();
+		}
+
+		this.virtualRowPool.forEach((tr, i) => {
+			const item = this.getDisplayItem(start + i);
+			if (item.group) {
+				if (!force && tr._tablejsGroup === item.group) return;
+				// Group rows have a different layout, so they replace the pooled row
+				const groupRow = this.createGroupRow(item.group, start + i);
+				tr.replaceWith(groupRow);
+				this.virtualRowPool[i] = groupRow;
+				return;
+			}
+			if (tr._tablejsGroup) {
+				const dataRow = this.createDataRow();
+				tr.replaceWith(dataRow);
+				this.virtualRowPool[i] = tr = dataRow;
+			} else if (!force && tr._tablejsRow === item.row) {
+				// Skip rows that are already showing the right data
+				return;
+			}
+			this.updateDataRow(tr, item.row, item.index, start + i);
+		});
+
+		this.virtualTopSpacer.firstChild.style.height =
+			start * rowHeight + "px";
+		this.virtualBottomSpacer.firstChild.style.height =
+			(total - start - count) * rowHeight + "px";
+
+		// Measure the real row height once rows exist, and re-render if it differs
+		if (!this.rowHeight) {
+			const measured = this.virtualRowPool[0].offsetHeight;
+			if (measured > 0 && measured !== this.measuredRowHeight) {
+				this.measuredRowHeight = measured;
+				this.scheduleVirtualRender();
+			}
+		}
+	}
+
+	/**
+	 * Creates a spacer row that stands in for rows outside the viewport.
+	 * @returns {HTMLTableRowElement} Spacer row
+	 * @private
+	 */
+	createVirtualSpacer() {
+		const tr = this.createStyledElement("tr", "virtual-spacer");
+		const td = this.createStyledElement("td", null, {
+			padding: "0",
+			border: "none",
+			height: "0px",
+		});
+		td.colSpan = this.getColumnCount();
+		tr.appendChild(td);
+		return tr;
+	}
+
+	/**
+	 * Renders the pagination controls and attaches event listeners.
+	 * @private
+	 */
+	renderPagination() {
+		const totalPages = this.getTotalPages();
+		const paginationHTML = this.createPaginationHTML(totalPages);
+
+		this.paginationBottom.innerHTML = paginationHTML;
+
+		// Clear old listeners to prevent memory leaks
+		this.paginationListeners = [];
+
+		// Add page button listeners
+		this.paginationBottom.querySelectorAll("button").forEach((btn) => {
+			const handler = (e) => {
+				const page = parseInt(e.target.dataset.page);
+				if (!isNaN(page)) {
+					this.goToPage(page);
+				}
+			};
+			btn.addEventListener("click", handler);
+			this.paginationListeners.push({
+				element: btn,
+				event: "click",
+				handler,
+			});
+		});
+
+		// Add page size selector listener
+		const pageSizeSelect = this.paginationBottom.querySelector(
+			`.${this.cssClass("page-size-select")}`,
+		);
+		if (pageSizeSelect) {
+			const handler = (e) => {
+				this.setPageSize(parseInt(e.target.value));
+			};
+			pageSizeSelect.addEventListener("change", handler);
+			this.paginationListeners.push({
+				element: pageSizeSelect,
+				event: "change",
+				handler,
+			});
+		}
+
+		// Add export menu listeners
+		const exportFormatSelect = this.paginationBottom.querySelector(
+			`.${this.cssClass("export-format-select")}`,
+		);
+		if (exportFormatSelect) {
+			const handler = (e) => {
+				this.exportFormat = e.target.value;
+			};
+			exportFormatSelect.addEventListener("change", handler);
+			this.paginationListeners.push({
+				element: exportFormatSelect,
+				event: "change",
+				handler,
+			});
+		}
+
+		const summaryScopeSelect = this.paginationBottom.querySelector(
+			`.${this.cssClass("summary-scope-select")}`,
+		);
+		if (summaryScopeSelect) {
+			const handler = (e) => {
+				this.setSummaryScope(e.target.value);
+			};
+			summaryScopeSelect.addEventListener("change", handler);
+			this.paginationListeners.push({
+				element: summaryScopeSelect,
+				event: "change",
+				handler,
+			});
+		}
+
+		const exportScopeSelect = this.paginationBottom.querySelector(
+			`.${this.cssClass("export-scope-select")}`,
+		);
+		if (exportScopeSelect) {
+			const handler = (e) => {
+				this.exportScope = e.target.value;
+			};
+			exportScopeSelect.addEventListener("change", handler);
+			this.paginationListeners.push({
+				element: exportScopeSelect,
+				event: "change",
+				handler,
+			});
+		}
+
+		const exportDownloadBtn = this.paginationBottom.querySelector(
+			`.${this.cssClass("export-download-btn")}`,
+		);
+		if (exportDownloadBtn) {
+			const handler = () => {
+				this.downloadExport(this.exportFormat, {
+					scope: this.exportScope,
+				});
+			};
+			exportDownloadBtn.addEventListener("click", handler);
+			this.paginationListeners.push({
+				element: exportDownloadBtn,
+				event: "click",
+				handler,
+			});
+		}
+
+		const exportCopyBtn = this.paginationBottom.querySelector(
+			`.${this.cssClass("export-copy-btn")}`,
+		);
+		if (exportCopyBtn) {
+			const handler = () => {
+				this.copyToClipboard(
+					this.exportData(this.exportFormat, {
+						scope: this.exportScope,
+					}),
+				);
+			};
+			exportCopyBtn.addEventListener("click", handler);
+			this.paginationListeners.push({
+				element: exportCopyBtn,
+				event: "click",
+				handler,
+			});
+		}
+
+		// Add column chooser toggle listener
+		const columnsBtn = this.paginationBottom.querySelector(
+			`.${this.cssClass("columns-btn")}`,
+		);
+		if (columnsBtn) {
+			const handler = () => {
+				if (this.columnMenuOpen) {
+					this.closeColumnMenu();
+				} else {
+					this.openColumnMenu();
+				}
+				columnsBtn.setAttribute(
+					"aria-expanded",
+					String(this.columnMenuOpen),
+				);
+			};
+			columnsBtn.addEventListener("click", handler);
+			this.paginationListeners.push({
+				element: columnsBtn,
+				event: "click",
+				handler,
+			});
+		}
+
+		// Add clear filters button listener
+		const clearBtn = this.paginationBottom.querySelector(
+			`.${this.cssClass("clear-filters-btn")}`,
+		);
+		if (clearBtn) {
+			const handler = () => {
+				this.clearAllFilters();
+			};
+			clearBtn.addEventListener("click", handler);
+			this.paginationListeners.push({
+				element: clearBtn,
+				event: "click",
+				handler,
+			});
+		}
+	}
+
+	/**
+	 * Creates the HTML string for pagination controls.
+	 * @param {number} totalPages - Total number of pages
+	 * @returns {string} HTML string for pagination
+	 * @private
+	 */
+	createPaginationHTML(totalPages) {
+		let html =
+			'<div style="display: flex; justify-content: space-between; align-items: center;">';
+
+		// Left side - controls
+		html += '<div style="display: flex; align-items: center; gap: 10px;">';
+		html += this.createExportMenu();
+		const columnsBtnStyle = `border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: ${_TABLE_CONSTS.COLORS.BODY_BG}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; border-radius: 3px;`;
+		html += `<button class="${this.cssClass("columns-btn")}" style="${columnsBtnStyle}" title="${_TABLE_CONSTS.MESSAGES.COLUMNS_TITLE}" aria-haspopup="true" aria-expanded="${this.columnMenuOpen}">${_TABLE_CONSTS.MESSAGES.COLUMNS} ▾</button>`;
+		if (this.showFilters) {
+			const clearBtnStyle = `border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: ${_TABLE_CONSTS.COLORS.BODY_BG}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; border-radius: 3px;`;
+			html += `<button class="${this.cssClass("clear-filters-btn")}" style="${clearBtnStyle}">${_TABLE_CONSTS.MESSAGES.CLEAR_FILTERS}</button>`;
+		}
+		if (this.summaryRow) {
+			const summaryOptions = Object.entries(_TABLE_CONSTS.SUMMARY_SCOPES)
+				.map(
+					([scope, label]) =>
+						`<option value="${scope}" ${this.summaryScope === scope ? "selected" : ""}>Σ ${label}</option>`,
+				)
+				.join("");
+			const summarySelectStyle = `border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; padding: 2px 4px; margin: 0 4px;`;
+			html += `<select class="${this.cssClass("summary-scope-select")}" style="${summarySelectStyle}" title="${_TABLE_CONSTS.MESSAGES.SUMMARY_SCOPE}" aria-label="${_TABLE_CONSTS.MESSAGES.SUMMARY_SCOPE}">${summaryOptions}</select>`;
+		}
+		if (this.virtualScroll) {
+			html += `<span class="${this.cssClass("row-count")}">${this.filteredData.length.toLocaleString()} ${_TABLE_CONSTS.MESSAGES.ROW_COUNT}</span>`;
+		} else {
+			html += this.createPageSizeSelector();
+		}
+		html += "</div>";
+
+		if (totalPages <= 1) {
+			html += "</div>";
+			return html;
+		}
+
+		// Right side - pagination controls
+		html += '<div style="display: flex; align-items: center; gap: 2px;">';
+
+		// Previous button
+		const prevBtnStyle = `min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: ${_TABLE_CONSTS.COLORS.BODY_BG}; cursor: pointer;`;
+		html += `<button class="${this.cssClass("pagination-btn")}" style="${prevBtnStyle}" ${this.currentPage === 1 ? "disabled" : ""} data-page="${this.currentPage - 1}">${_TABLE_CONSTS.ICONS.prev}</button>`;
+
+		// Page buttons - always show 10 elements for consistent width
+		const pageButtons = this.generatePageButtons(totalPages);
+		pageButtons.forEach((item) => {
+			if (item.type === "page") {
+				const isActive = item.page === this.currentPage;
+				const activeBg = isActive
+					? _TABLE_CONSTS.COLORS.BORDER
+					: _TABLE_CONSTS.COLORS.BODY_BG;
+				const pageBtnStyle = `min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: ${activeBg}; cursor: pointer;`;
+				html += `<button class="${this.cssClass("pagination-btn")}" style="${pageBtnStyle}" ${isActive ? "disabled" : ""} data-page="${item.page}">${item.page}</button>`;
+			} else if (item.type === "dots") {
+				html += `<span class="${this.cssClass("pagination-dots")}" style="min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; text-align: center; display: inline-block;">…</span>`;
+			}
+		});
+
+		// Next button
+		const nextBtnStyle = `min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: ${_TABLE_CONSTS.COLORS.BODY_BG}; cursor: pointer;`;
+		html += `<button class="${this.cssClass("pagination-btn")}" style="${nextBtnStyle}" ${this.currentPage === totalPages ? "disabled" : ""} data-page="${this.currentPage + 1}">${_TABLE_CONSTS.ICONS.next}</button>`;
+
+		html += "</div>"; // End pagination controls
+		html += "</div>"; // End main container
+
+		return html;
+	}
+
+	/**
+	 * Generates page button configuration array with ellipsis handling.
+	 * @param {number} totalPages - Total number of pages
+	 * @returns {Array<{type: 'page'|'dots', page?: number}>} Array of page button configs
+	 * @private
+	 */
+	generatePageButtons(totalPages) {
+		if (totalPages <= 10) {
+			// Show all pages
+			return Array.from({ length: totalPages }, (_, i) => ({
+				type: "page",
+				page: i + 1,
+			}));
+		}
+
+		// Always show exactly 10 elements (pages + dots)
+		const items = [];
+
+		// Always show page 1
+		items.push({ type: "page", page: 1 });
+
+		// Determine the window around current page
+		let start = Math.max(2, this.currentPage - 3);
+		let end = Math.min(totalPages - 1, this.currentPage + 3);
+
+		// Add dots after 1 if needed
+		if (start > 2) {
+			items.push({ type: "dots" });
+			// Adjust to maintain 10 elements total
+			if (end === totalPages - 1) start = Math.max(start, totalPages - 7);
+		} else {
+			start = 2;
+		}
+
+		// Add middle pages
+		for (let i = start; i <= end && items.length < 9; i++) {
+			items.push({ type: "page", page: i });
+		}
+
+		// Add dots before last page if needed
+		if (end < totalPages - 1) {
+			items.push({ type: "dots" });
+		}
+
+		// Always show last page (if different from 1)
+		if (totalPages > 1) {
+			items.push({ type: "page", page: totalPages });
+		}
+
+		// Pad with pages if we have less than 10 items
+		while (items.length < 10 && totalPages > items.length) {
+			const initialLength = items.length;
+
+			// Find gaps and fill them
+			for (let i = 1; i < items.length; i++) {
+				if (
+					items[i].type === "page" &&
+					items[i - 1].type === "page" &&
+					items[i].page - items[i - 1].page > 1
+				) {
+					items.splice(i, 0, {
+						type: "page",
+						page: items[i - 1].page + 1,
+					});
+					break;
+				}
+			}
+
+			// Safety check: if no progress was made, break to avoid infinite loop
+			if (items.length === initialLength) {
+				break;
+			}
+		}
+
+		return items.slice(0, 10); // Ensure exactly 10 elements
+	}
+
+	/**
+	 * Creates the HTML string for the export menu: format and row scope pickers,
+	 * a download button, and a copy button.
+	 * @returns {string} HTML string for the export menu
+	 * @private
+	 */
+	createExportMenu() {
+		const containerStyle = `display: flex; align-items: center; gap: 4px; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; border-radius: 4px; padding: 2px; margin: 3px;`;
+		const selectStyle = `border: none; background: none; padding: 2px; cursor: pointer;`;
+		const btnStyle = `border: none; background: none; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; display: flex; align-items: center; gap: 4px;`;
+		const copyBtnStyle = `border: none; background: none; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; display: flex; align-items: center;`;
+		const separatorStyle = `border-left: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; height: 20px;`;
+
+		const formatOptions = Object.entries(_TABLE_CONSTS.EXPORT.FORMATS)
+			.map(
+				([format, { label }]) =>
+					`<option value="${format}" ${this.exportFormat === format ? "selected" : ""}>${label}</option>`,
+			)
+			.join("");
+		const scopeOptions = Object.entries(_TABLE_CONSTS.EXPORT.SCOPES)
+			.filter(([scope]) => scope !== "selected" || this.selectable)
+			.map(
+				([scope, label]) =>
+					`<option value="${scope}" ${this.exportScope === scope ? "selected" : ""}>${label}</option>`,
+			)
+			.join("");
+
+		return `<div class="${this.cssClass("export-container")}" style="${containerStyle}">
+            <select class="${this.cssClass("export-format-select")}" style="${selectStyle}" title="${_TABLE_CONSTS.MESSAGES.EXPORT_FORMAT}" aria-label="${_TABLE_CONSTS.MESSAGES.EXPORT_FORMAT}">
+                ${formatOptions}
+            </select>
+            <select class="${this.cssClass("export-scope-select")}" style="${selectStyle}" title="${_TABLE_CONSTS.MESSAGES.EXPORT_SCOPE}" aria-label="${_TABLE_CONSTS.MESSAGES.EXPORT_SCOPE}">
+                ${scopeOptions}
+            </select>
+            <div style="${separatorStyle}"></div>
+            <button class="${this.cssClass("export-download-btn")}" style="${btnStyle}">
+                ${_TABLE_CONSTS.MESSAGES.EXPORT} ${_TABLE_CONSTS.ICONS.download}
+            </button>
+            <div style="${separatorStyle}"></div>
+            <button class="${this.cssClass("export-copy-btn")}" style="${copyBtnStyle}" title="${_TABLE_CONSTS.MESSAGES.COPY_TITLE}">
+                ${_TABLE_CONSTS.ICONS.copy}
+            </button>
+        </div>`;
+	}
+
+	/**
+	 * Creates the HTML string for the page size selector dropdown.
+	 * @returns {string} HTML string for page size selector
+	 * @private
+	 */
+	createPageSizeSelector() {
+		const options = this.pageSizeOptions
+			.map(
+				(size) =>
+					`<option value="${size}" ${this.pageSize === size ? "selected" : ""}>${size}</option>`,
+			)
+			.join("");
+
+		const selectStyle = `border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; padding: 2px 4px; margin: 0 4px;`;
+
+		return `<label class="${this.cssClass("page-size-label")}">Show
+            <select class="${this.cssClass("page-size-select")}" style="${selectStyle}">
+                ${options}
+            </select>
+            entries</label>`;
+	}
+
+	/**
+	 * Gets the query for the current page, as passed to the dataSource.
+	 * @returns {Omit<DataSourceQuery, 'signal'>} Page, page size, sort, and valid filters
+	 * @private
+	 */
+	getRemoteQuery() {
+		const filters = {};
+		Object.entries(this.filters).forEach(([id, filter]) => {
+			if (filter.valid) filters[id] = filter.value;
+		});
+		return {
+			page: this.currentPage,
+			pageSize: this.pageSize,
+			sort: this.getSort(),
+			filters,
+		};
+	}
+
+	/**
+	 * Requests the current page from the dataSource, unless the same query was already requested.
+	 * A request still in flight is aborted and its response ignored.
+	 * @returns {Promise<void>} Settles when the latest request has been handled
+	 * @private
+	 */
+	requestRemoteData() {
+		const query = this.getRemoteQuery();
+		const queryKey = JSON.stringify(query);
+		if (queryKey === this.remoteQueryKey) {
+			return this.remoteRequest
+				? this.remoteRequest.promise
+				: Promise.resolve();
+		}
+		this.remoteQueryKey = queryKey;
+
+		if (this.remoteRequest) this.remoteRequest.controller.abort();
+		const request = { controller: new AbortController(), promise: null };
+		this.remoteRequest = request;
+		this.loading = true;
+
+		request.promise = Promise.resolve()
+			// Skip the call if another query superseded this one in the meantime
+			.then(() =>
+				this.remoteRequest === request
+					? this.dataSource({
+							...query,
+							signal: request.controller.signal,
+						})
+					: null,
+			)
+			.then((result) => {
+				if (this.remoteRequest !== request) return; // Superseded
+				if (!result || !Array.isArray(result.rows)) {
+					throw new Error(
+						"dataSource must resolve to { rows, total }",
+					);
+				}
+				this.remoteRequest = null;
+				const total = Number.isFinite(result.total)
+					? result.total
+					: result.rows.length;
+				this.receiveRemoteData(result.rows, total, null);
+			})
+			.catch((error) => {
+				if (this.remoteRequest !== request) return;
+				this.remoteRequest = null;
+				this.receiveRemoteData([], 0, error);
+				this.emit("loaderror", { error });
+			});
+		return request.promise;
+	}
+
+	/**
+	 * Shows a page loaded from the dataSource, or the error that prevented loading it.
+	 * @param {Array<Object>} rows - Rows of the current page
+	 * @param {number} total - Number of rows matching the filters
+	 * @param {Error|null} error - Load error, if any
+	 * @private
+	 */
+	receiveRemoteData(rows, total, error) {
+		this.loading = false;
+		this.loadError = error;
+		if (this.columns.length === 0 && rows.length > 0) {
+			this.columns = this.inferColumns(rows[0]);
+			this.createTableStructure();
+		}
+		this.data = rows;
+		this.remoteTotal = total;
+		this.applyFiltersAndSort();
+		// May change page if the total shrank, which requests that page instead
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Requests the current page from the dataSource again, e.g. after the server data changed.
+	 * Without a dataSource, re-applies filters and sorting to the in-memory data.
+	 * @returns {Promise<void>} Resolves once the page is loaded and rendered
+	 */
+	reload() {
+		if (!this.dataSource) {
+			this.applyFiltersAndSort();
+			this.validateCurrentPage();
+			this.render();
+			return Promise.resolve();
+		}
+		this.remoteQueryKey = null;
+		this.render();
+		return this.remoteRequest.promise;
+	}
+
+	/**
+	 * Replaces the table data and re-renders. Tracked edits (see getChanges()) are kept
+	 * for rows still present (matched by rowKey) whose new data still holds the edited value.
+	 * @param {Array<Object>} data - New array of row data objects
+	 */
+	setData(data) {
+		this.data = data;
+		this.syncDataFrame();
+		this.pruneChanges();
+		this.pruneSelection();
+		this.pruneExpandedRows();
+		this.currentPage = 1;
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Adds a single row to the table data and re-renders.
+	 * @param {Object} row - Row data object to add
+	 */
+	addRow(row) {
+		this.data.push(row);
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		// Keep the rendered rows (and scroll position) instead of rebuilding the body
+		this.pendingPatch = new Map([[row, null]]);
+		this.render();
+		this.pendingPatch = null;
+	}
+
+	/**
+	 * Inserts or updates rows by rowKey. Fields of an existing row are merged into it (the row object
+	 * is kept), and other rows are appended. Updates are batched until the next animation frame, then
+	 * applied keeping the page, sort, filters, selection, and scroll position; only changed rows are
+	 * re-rendered, and changed cells are briefly highlighted.
+	 * @param {Array<Object>|Object} rows - Rows (or partial rows holding the key) to insert or update
+	 * @throws {Error} If the table has no rowKey or uses a dataSource
+	 */
+	upsertRows(rows) {
+		this.checkLiveUpdates("upsertRows");
+		const { upserts, removals } = this.pendingUpdates;
+		(Array.isArray(rows) ? rows : [rows]).forEach((row) => {
+			const key = this.getRowKey(row);
+			removals.delete(key);
+			// Several updates to one row in a frame are merged
+			upserts.set(
+				key,
+				upserts.has(key) ? { ...upserts.get(key), ...row } : row,
+			);
+		});
+		this.scheduleUpdates();
+	}
+
+	/**
+	 * Removes rows by rowKey, batched like upsertRows().
+	 * @param {Array<*>} keys - Row keys to remove
+	 * @throws {Error} If the table has no rowKey or uses a dataSource
+	 */
+	removeRows(keys) {
+		this.checkLiveUpdates("removeRows");
+		const { upserts, removals } = this.pendingUpdates;
+		keys.forEach((key) => {
+			upserts.delete(key);
+			removals.add(key);
+		});
+		this.scheduleUpdates();
+	}
+
+	/**
+	 * Checks that rows can be updated by key.
+	 * @param {string} method - Name of the calling method, for the error message
+	 * @throws {Error} If the table has no rowKey or uses a dataSource
+	 * @private
+	 */
+	checkLiveUpdates(method) {
+		if (!this.rowKey) {
+			throw new Error(`${method} requires a rowKey`);
+		}
+		if (this.dataSource) {
+			throw new Error(`${method} cannot be combined with dataSource`);
+		}
+	}
+
+	/**
+	 * Applies queued row updates on the next animation frame.
+	 * @private
+	 */
+	scheduleUpdates() {
+		if (this.updateFrame) return;
+		this.updateFrame = requestAnimationFrame(() => {
+			this.updateFrame = null;
+			this.flushUpdates();
+		});
+	}
+
+	/**
+	 * Applies row updates queued by upsertRows() and removeRows() now instead of on the next frame.
+	 */
+	flushUpdates() {
+		if (this.updateFrame) {
+			cancelAnimationFrame(this.updateFrame);
+			this.updateFrame = null;
+		}
+		const { upserts, removals } = this.pendingUpdates;
+		if (upserts.size === 0 && removals.size === 0) return;
+		this.pendingUpdates = { upserts: new Map(), removals: new Set() };
+
+		if (removals.size > 0) {
+			this.data = this.data.filter(
+				(row) => !removals.has(this.getRowKey(row)),
+			);
+			this.syncDataFrame();
+			removals.forEach((key) => this.changes.delete(key));
+			this.pruneSelection();
+			this.pruneExpandedRows();
+		}
+
+		// Row -> IDs of the visible columns whose values changed
+		const updated = new Map();
+		const columns = this.getVisibleColumns();
+		const rowsByKey = new Map(
+			this.data.map((row) => [this.getRowKey(row), row]),
+		);
+		upserts.forEach((values, key) => {
+			const row = rowsByKey.get(key);
+			if (!row) {
+				this.data.push(values);
+				updated.set(
+					values,
+					new Set(columns.map((col) => this.getColumnId(col))),
+				);
+				return;
+			}
+			const before = columns.map((col) => this.getCellValue(row, col));
+			Object.assign(row, values);
+			const changed = new Set(
+				columns
+					.filter(
+						(col, i) =>
+							!Object.is(before[i], this.getCellValue(row, col)),
+					)
+					.map((col) => this.getColumnId(col)),
+			);
+			if (changed.size > 0) updated.set(row, changed);
+		});
+
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.pendingPatch = updated;
+		this.render();
+		this.pendingPatch = null;
+	}
+
+	/**
+	 * Shows a page, after emitting a cancelable pageChange event.
+	 * @param {number} page - Page number (1-based), clamped to the available pages
+	 * @returns {boolean} False if a handler vetoed the change
+	 */
+	goToPage(page) {
+		page = Math.max(1, Math.min(this.getTotalPages(), page));
+		if (page === this.currentPage) return true;
+		const allowed = this.emit(
+			"pageChange",
+			{ page, previousPage: this.currentPage },
+			true,
+		);
+		if (!allowed) return false;
+		this.currentPage = page;
+		this.render();
+		return true;
+	}
+
+	/**
+	 * Changes the number of rows displayed per page.
+	 * Resets to the first page after changing.
+	 * @param {number} size - New page size
+	 */
+	setPageSize(size) {
+		if (size === this.pageSize) return;
+		const allowed = this.emit(
+			"pageSizeChange",
+			{ pageSize: size, previousPageSize: this.pageSize },
+			true,
+		);
+		if (!allowed) {
+			this.renderPagination(); // Reset the page size selector
+			return;
+		}
+		this.pageSize = size;
+		this.currentPage = 1;
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+	}
+
+	/**
+	 * Gets the identity used to track a row across sorting, filtering, and paging:
+	 * its rowKey value, or the row object itself without a rowKey.
+	 * @param {Object} row - Row data object
+	 * @returns {*} Row key
+	 * @private
+	 */
+	getRowKey(row) {
+		if (typeof this.rowKey === "function") return this.rowKey(row);
+		if (this.rowKey) return this.getNestedValue(row, this.rowKey);
+		return row;
+	}
+
+	/**
+	 * Checks whether a row is selected.
+	 * @param {Object} row - Row data object
+	 * @returns {boolean} True if the row is selected
+	 */
+	isRowSelected(row) {
+		return this.selectedKeys.has(this.getRowKey(row));
+	}
+
+	/**
+	 * Toggles selection of a row, as when its checkbox is clicked.
+	 * In multi mode, extending selects every filtered row between the previously
+	 * clicked row and this one, even across pages.
+	 * @param {Object} row - Row data object
+	 * @param {boolean} [extendRange=false] - Select a range from the last clicked row (shift-click)
+	 */
+	toggleRowSelection(row, extendRange = false) {
+		if (!this.selectable || !row) return;
+		const key = this.getRowKey(row);
+
+		if (this.selectable === "single") {
+			const wasSelected = this.selectedKeys.has(key);
+			this.selectedKeys.clear();
+			if (!wasSelected) this.selectedKeys.add(key);
+		} else {
+			const keys = extendRange
+				? this.filteredData.map((r) => this.getRowKey(r))
+				: [];
+			const from = keys.indexOf(this.selectionAnchor);
+			const to = keys.indexOf(key);
+			if (from !== -1 && to !== -1) {
+				for (let i = Math.min(from, to); i <= Math.max(from, to); i++) {
+					this.selectedKeys.add(keys[i]);
+				}
+			} else if (this.selectedKeys.has(key)) {
+				this.selectedKeys.delete(key);
+			} else {
+				this.selectedKeys.add(key);
+			}
+		}
+
+		this.selectionAnchor = key;
+		this.handleSelectionChange();
+	}
+
+	/**
+	 * Selects every filtered row, or deselects them if they are all selected already.
+	 * Rows hidden by filters keep their selection state.
+	 */
+	toggleSelectAllFiltered() {
+		if (this.selectable !== "multi") return;
+		const keys = this.filteredData.map((row) => this.getRowKey(row));
+		const allSelected =
+			keys.length > 0 && keys.every((key) => this.selectedKeys.has(key));
+		keys.forEach((key) => {
+			if (allSelected) {
+				this.selectedKeys.delete(key);
+			} else {
+				this.selectedKeys.add(key);
+			}
+		});
+		this.handleSelectionChange();
+	}
+
+	/**
+	 * Gets the selected rows, in data order.
+	 * Includes selected rows that are currently hidden by filters.
+	 * @returns {Array<Object>} Selected row objects
+	 */
+	getSelectedRows() {
+		if (this.selectedKeys.size === 0) return [];
+		return this.data.filter((row) => this.isRowSelected(row));
+	}
+
+	/**
+	 * Adds every row matching a predicate to the selection.
+	 * In single mode, only the first matching row is selected.
+	 * @param {function(Object): boolean} predicate - Function receiving each row
+	 */
+	selectRows(predicate) {
+		if (!this.selectable) return;
+		if (this.selectable === "single") {
+			const row = this.data.find(predicate);
+			if (!row) return;
+			this.selectedKeys.clear();
+			this.selectedKeys.add(this.getRowKey(row));
+		} else {
+			this.data.forEach((row) => {
+				if (predicate(row)) this.selectedKeys.add(this.getRowKey(row));
+			});
+		}
+		this.handleSelectionChange();
+	}
+
+	/**
+	 * Deselects all rows.
+	 */
+	clearSelection() {
+		if (this.selectedKeys.size === 0) return;
+		this.selectedKeys.clear();
+		this.selectionAnchor = null;
+		this.handleSelectionChange();
+	}
+
+	/**
+	 * Drops selected keys that no longer refer to a row in the data.
+	 * @private
+	 */
+	pruneSelection() {
+		if (this.selectedKeys.size === 0) return;
+		const previousSize = this.selectedKeys.size;
+		const keys = new Set(this.data.map((row) => this.getRowKey(row)));
+		this.selectedKeys.forEach((key) => {
+			if (!keys.has(key)) this.selectedKeys.delete(key);
+		});
+		if (this.selectedKeys.size !== previousSize) {
+			this.handleSelectionChange();
+		}
+	}
+
+	/**
+	 * Forgets tracked edits to rows that are no longer in the data, and edited
+	 * cells whose value in the new row object differs from the edited value.
+	 * @private
+	 */
+	pruneChanges() {
+		if (this.changes.size === 0) return;
+		const rows = new Map(
+			this.data.map((row) => [this.getRowKey(row), row]),
+		);
+		this.changes.forEach((entry, key) => {
+			const row = rows.get(key);
+			if (row) {
+				entry.row = row;
+				Object.keys(entry.changes).forEach((colKey) => {
+					const col = this.columns.find((c) => c.key === colKey);
+					const current = this.getCellValue(
+						row,
+						col || { key: colKey },
+					);
+					if (
+						!this.valuesEqual(
+							current,
+							entry.changes[colKey].newValue,
+						)
+					) {
+						delete entry.changes[colKey];
+					}
+				});
+			}
+			if (!row || Object.keys(entry.changes).length === 0) {
+				this.changes.delete(key);
+			}
+		});
+	}
+
+	/**
+	 * Forgets expanded rows that are no longer in the data.
+	 * @private
+	 */
+	pruneExpandedRows() {
+		if (this.expandedKeys.size === 0) return;
+		const keys = new Set(this.data.map((row) => this.getRowKey(row)));
+		this.expandedKeys.forEach((key) => {
+			if (!keys.has(key)) this.expandedKeys.delete(key);
+		});
+	}
+
+	/**
+	 * Refreshes selection indicators and emits a selectionchange event.
+	 * @private
+	 */
+	handleSelectionChange() {
+		this.tbody
+			.querySelectorAll(`.${this.cssClass("data-row")}`)
+			.forEach((tr) => this.updateRowSelectionState(tr));
+		this.updateSelectAllState();
+		this.emit("selectionchange", { selectedRows: this.getSelectedRows() });
+	}
+
+	/**
+	 * Syncs a rendered row's checkbox and highlight with the selection.
+	 * @param {HTMLTableRowElement} tr - Data row element
+	 * @private
+	 */
+	updateRowSelectionState(tr) {
+		if (!this.selectable) return;
+		const selected = this.isRowSelected(tr._tablejsRow);
+		const checkbox = tr.querySelector(
+			`.${this.cssClass("select-checkbox")}`,
+		);
+		if (checkbox) checkbox.checked = selected;
+		tr.style.backgroundColor = selected
+			? _TABLE_CONSTS.COLORS.SELECTED_BG
+			: this.getDataRowBackground();
+		tr.setAttribute("aria-selected", String(selected));
+	}
+
+	/**
+	 * Syncs a rendered row's detail toggle with its expanded state.
+	 * @param {HTMLTableRowElement} tr - Data row element
+	 * @private
+	 */
+	updateRowDetailState(tr) {
+		if (!this.detailRenderer) return;
+		const toggle = tr.querySelector(`.${this.cssClass("detail-toggle")}`);
+		const expanded = this.isRowExpanded(tr._tablejsRow);
+		toggle.textContent = expanded
+			? _TABLE_CONSTS.ICONS.expanded
+			: _TABLE_CONSTS.ICONS.collapsed;
+		toggle.setAttribute("aria-expanded", String(expanded));
+		tr.setAttribute("aria-expanded", String(expanded));
+		toggle.setAttribute(
+			"aria-label",
+			expanded
+				? _TABLE_CONSTS.MESSAGES.HIDE_DETAILS
+				: _TABLE_CONSTS.MESSAGES.SHOW_DETAILS,
+		);
+	}
+
+	/**
+	 * Checks whether a row's detail row is expanded.
+	 * @param {Object} row - Row data object
+	 * @returns {boolean} True if the row is expanded
+	 */
+	isRowExpanded(row) {
+		return this.expandedKeys.has(this.getRowKey(row));
+	}
+
+	/**
+	 * Expands or collapses the detail row of a row and emits a detailtoggle event.
+	 * The expanded state is kept by row key, so it survives sorting, filtering, and paging.
+	 * @param {Object} row - Row data object
+	 * @param {boolean} [expanded] - Whether to expand the row (toggles if omitted)
+	 */
+	toggleRowDetail(row, expanded = !this.isRowExpanded(row)) {
+		if (this.isRowExpanded(row) === expanded) return;
+		const key = this.getRowKey(row);
+		if (expanded) {
+			this.expandedKeys.add(key);
+		} else {
+			this.expandedKeys.delete(key);
+		}
+		this.render();
+		this.emit("detailtoggle", { row, expanded });
+	}
+
+	/**
+	 * Expands the detail rows of all rows, including those hidden by filters.
+	 */
+	expandAll() {
+		this.data.forEach((row) => this.expandedKeys.add(this.getRowKey(row)));
+		this.render();
+	}
+
+	/**
+	 * Collapses all detail rows.
+	 */
+	collapseAll() {
+		this.expandedKeys.clear();
+		this.render();
+	}
+
+	/**
+	 * Syncs the header select-all checkbox with the selection of filtered rows.
+	 * @private
+	 */
+	updateSelectAllState() {
+		if (!this.selectAllCheckbox) return;
+		const selectedCount = this.filteredData.filter((row) =>
+			this.isRowSelected(row),
+		).length;
+		this.selectAllCheckbox.checked =
+			selectedCount > 0 && selectedCount === this.filteredData.length;
+		this.selectAllCheckbox.indeterminate =
+			selectedCount > 0 && selectedCount < this.filteredData.length;
+	}
+
+	/**
+	 * Opens the column's editor in a cell.
+	 * @param {number} row - Index into filteredData
+	 * @param {number} col - Index into getVisibleColumns()
+	 * @returns {boolean} True if an editor was opened (the column is editable and the cell is rendered)
+	 */
+	editCell(row, col) {
+		const column = this.getVisibleColumns()[col];
+		const td = this.getCellElement(row, col);
+		if (!column?.editable || !td) return false;
+		if (this.editing) this.cancelEdit();
+
+		const rowData = this.filteredData[row];
+		const session = {
+			td,
+			row: rowData,
+			col: column,
+			colIndex: col,
+			oldValue: this.getCellValue(rowData, column),
+			editor: null,
+		};
+		// Controls outlive the editor, so they must not act on a later edit
+		const controls = {
+			commit: (value) =>
+				this.editing === session ? this.commitEdit(value) : false,
+			cancel: () => {
+				if (this.editing === session) this.cancelEdit();
+			},
+		};
+		session.editor = column.editor
+			? column.editor(session.oldValue, rowData, column, controls)
+			: this.createBuiltInEditor(session.oldValue, column, controls);
+		this.editing = session;
+
+		td.innerHTML = "";
+		td.appendChild(session.editor);
+		const focusTarget = session.editor.matches("input, select, textarea")
+			? session.editor
+			: session.editor.querySelector("input, select, textarea");
+		if (focusTarget) focusTarget.focus();
+		return true;
+	}
+
+	/**
+	 * Creates the built-in editor for a column's type: a text, number, or date input, or a checkbox.
+	 * Enter or leaving the editor commits; Escape cancels. Leaving the shown value unchanged
+	 * cancels instead, so opening and closing an editor never records an edit.
+	 * @param {*} value - Current cell value
+	 * @param {ColumnConfig} col - Column configuration
+	 * @param {EditorControls} controls - Commit and cancel callbacks
+	 * @returns {HTMLInputElement} Editor element
 	 * @private
 	 */
-	createPaginationHTML(totalPages) {
-		let html =
-			'<div style="display: flex; justify-content: space-between; align-items: center;">';
-
-		// Left side - controls
-		html += '<div style="display: flex; align-items: center; gap: 10px;">';
-		html += this.createExportCSVButton();
-		if (this.showFilters) {
-			const clearBtnStyle = `border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: white; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; border-radius: 3px;`;
-			html += `<button class="${this.cssClass("clear-filters-btn")}" style="${clearBtnStyle}">${_TABLE_CONSTS.MESSAGES.CLEAR_FILTERS}</button>`;
+	createBuiltInEditor(value, col, controls) {
+		if (col.type === "boolean") {
+			const checkbox = this.createStyledElement("input", "cell-editor", {
+				cursor: "pointer",
+			});
+			checkbox.type = "checkbox";
+			checkbox.checked = Boolean(value);
+			const commitChecked = () =>
+				checkbox.checked === Boolean(value)
+					? controls.cancel()
+					: controls.commit(checkbox.checked);
+			checkbox.addEventListener("change", commitChecked);
+			checkbox.addEventListener("keydown", (e) => {
+				if (e.key === "Enter") {
+					e.preventDefault();
+					commitChecked();
+				}
+			});
+			checkbox.addEventListener("blur", commitChecked);
+			return checkbox;
 		}
-		html += this.createPageSizeSelector();
-		html += "</div>";
 
-		if (totalPages <= 1) {
-			html += "</div>";
-			return html;
+		const input = this.createStyledElement("input", "cell-editor", {
+			width: "100%",
+			boxSizing: "border-box",
+			font: "inherit",
+			padding: "2px 4px",
+			border: `${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}`,
+			borderRadius: "3px",
+		});
+		let parse;
+		if (col.type === "number") {
+			input.type = "number";
+			input.step = "any";
+			input.value = value === null || value === undefined ? "" : value;
+			parse = (text) => (text === "" ? null : Number(text));
+		} else if (col.type === "date") {
+			input.type = "date";
+			input.value = this.formatDateInputValue(value);
+			// Keep Date values as Dates (at local midnight), and strings as ISO dates
+			parse = (text) => {
+				if (!text) return null;
+				return value instanceof Date
+					? new Date(text + "T00:00:00")
+					: text;
+			};
+		} else {
+			input.type = "text";
+			input.value = value === null || value === undefined ? "" : value;
+			// Keep numbers and booleans as their own type when the text still reads as one
+			parse = (text) => {
+				if (typeof value === "number") {
+					const number = Number(text);
+					return text.trim() !== "" && !isNaN(number) ? number : text;
+				}
+				if (typeof value === "boolean") {
+					return text === "true" || text === "false"
+						? text === "true"
+						: text;
+				}
+				return text;
+			};
 		}
 
-		// Right side - pagination controls
-		html += '<div style="display: flex; align-items: center; gap: 2px;">';
-
-		// Previous button
-		const prevBtnStyle = `min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: white; cursor: pointer;`;
-		html += `<button class="${this.cssClass("pagination-btn")}" style="${prevBtnStyle}" ${this.currentPage === 1 ? "disabled" : ""} data-page="${this.currentPage - 1}">${_TABLE_CONSTS.ICONS.prev}</button>`;
-
-		// Page buttons - always show 10 elements for consistent width
-		const pageButtons = this.generatePageButtons(totalPages);
-		pageButtons.forEach((item) => {
-			if (item.type === "page") {
-				const isActive = item.page === this.currentPage;
-				const activeBg = isActive
-					? _TABLE_CONSTS.COLORS.BORDER
-					: "white";
-				const pageBtnStyle = `min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: ${activeBg}; cursor: pointer;`;
-				html += `<button class="${this.cssClass("pagination-btn")}" style="${pageBtnStyle}" ${isActive ? "disabled" : ""} data-page="${item.page}">${item.page}</button>`;
-			} else if (item.type === "dots") {
-				html += `<span class="${this.cssClass("pagination-dots")}" style="min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; text-align: center; display: inline-block;">…</span>`;
+		const shown = input.value;
+		const commitText = () =>
+			input.value === shown
+				? controls.cancel()
+				: controls.commit(parse(input.value));
+		input.addEventListener("keydown", (e) => {
+			if (e.key === "Enter") {
+				e.preventDefault();
+				commitText();
 			}
 		});
-
-		// Next button
-		const nextBtnStyle = `min-width: ${_TABLE_CONSTS.PAGINATION.BUTTON_MIN_WIDTH}; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; background: white; cursor: pointer;`;
-		html += `<button class="${this.cssClass("pagination-btn")}" style="${nextBtnStyle}" ${this.currentPage === totalPages ? "disabled" : ""} data-page="${this.currentPage + 1}">${_TABLE_CONSTS.ICONS.next}</button>`;
-
-		html += "</div>"; // End pagination controls
-		html += "</div>"; // End main container
-
-		return html;
+		input.addEventListener("blur", commitText);
+		return input;
 	}
 
 	/**
-	 * Generates page button configuration array with ellipsis handling.
-	 * @param {number} totalPages - Total number of pages
-	 * @returns {Array<{type: 'page'|'dots', page?: number}>} Array of page button configs
+	 * Formats a date value for an <input type="date"> (YYYY-MM-DD, local time).
+	 * @param {Date|string|null} value - Date object or ISO date string
+	 * @returns {string} Input value, or an empty string if the value is not a date
 	 * @private
 	 */
-	generatePageButtons(totalPages) {
-		if (totalPages <= 10) {
-			// Show all pages
-			return Array.from({ length: totalPages }, (_, i) => ({
-				type: "page",
-				page: i + 1,
-			}));
+	formatDateInputValue(value) {
+		if (value instanceof Date) {
+			if (isNaN(value.getTime())) return "";
+			const pad = (n) => String(n).padStart(2, "0");
+			return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
 		}
+		const match = /^\d{4}-\d{2}-\d{2}/.exec(value ?? "");
+		return match ? match[0] : "";
+	}
 
-		// Always show exactly 10 elements (pages + dots)
-		const items = [];
-
-		// Always show page 1
-		items.push({ type: "page", page: 1 });
-
-		// Determine the window around current page
-		let start = Math.max(2, this.currentPage - 3);
-		let end = Math.min(totalPages - 1, this.currentPage + 3);
+	/**
+	 * Validates and saves a value for the cell being edited, then re-renders.
+	 * On a validation error the editor stays open and is highlighted, with the message as its tooltip.
+	 * @param {*} value - New cell value
+	 * @returns {boolean} True if the edit was closed; false if validation failed or no editor is open
+	 */
+	commitEdit(value) {
+		const session = this.editing;
+		if (!session) return false;
+		const { row, col, oldValue, editor } = session;
 
-		// Add dots after 1 if needed
-		if (start > 2) {
-			items.push({ type: "dots" });
-			// Adjust to maintain 10 elements total
-			if (end === totalPages - 1) start = Math.max(start, totalPages - 7);
-		} else {
-			start = 2;
+		if (this.valuesEqual(value, oldValue)) {
+			this.cancelEdit();
+			return true;
 		}
 
-		// Add middle pages
-		for (let i = start; i <= end && items.length < 9; i++) {
-			items.push({ type: "page", page: i });
+		if (col.validate) {
+			const result = col.validate(value, row);
+			if (result === false || typeof result === "string") {
+				editor.style.backgroundColor = _TABLE_CONSTS.COLORS.ERROR_BG;
+				editor.title =
+					typeof result === "string"
+						? result
+						: _TABLE_CONSTS.MESSAGES.INVALID_VALUE;
+				editor.setAttribute("aria-invalid", "true");
+				return false;
+			}
 		}
 
-		// Add dots before last page if needed
-		if (end < totalPages - 1) {
-			items.push({ type: "dots" });
+		const hadFocus = session.td.contains(document.activeElement);
+		this.editing = null;
+		if (col.literalKey) {
+			row[col.key] = value;
+		} else {
+			this.setNestedValue(row, col.key, value);
 		}
+		this.recordChange(row, col.key, oldValue, value);
+		this.emit("cellEdit", {
+			row,
+			columnId: this.getColumnId(col),
+			key: col.key,
+			oldValue,
+			newValue: value,
+		});
 
-		// Always show last page (if different from 1)
-		if (totalPages > 1) {
-			items.push({ type: "page", page: totalPages });
+		this.applyFiltersAndSort();
+		this.validateCurrentPage();
+		this.render();
+		// Keep focus on the edited cell if sorting or filtering moved its row
+		const index = this.filteredData.indexOf(row);
+		if (index !== -1) {
+			this.focusedCell = { row: index, col: session.colIndex };
 		}
+		this.syncFocusedCell(hadFocus);
+		return true;
+	}
 
-		// Pad with pages if we have less than 10 items
-		while (items.length < 10 && totalPages > items.length) {
-			const initialLength = items.length;
+	/**
+	 * Closes the open editor without saving, restoring the cell's value.
+	 */
+	cancelEdit() {
+		const session = this.editing;
+		if (!session) return;
+		const hadFocus = session.td.contains(document.activeElement);
+		this.editing = null;
+		session.td.innerHTML = "";
+		this.renderCell(session.td, session.row, session.col);
+		if (hadFocus) session.td.focus();
+	}
 
-			// Find gaps and fill them
-			for (let i = 1; i < items.length; i++) {
-				if (
-					items[i].type === "page" &&
-					items[i - 1].type === "page" &&
-					items[i].page - items[i - 1].page > 1
-				) {
-					items.splice(i, 0, {
-						type: "page",
-						page: items[i - 1].page + 1,
-					});
-					break;
-				}
-			}
+	/**
+	 * Checks whether two cell values are the same (Dates are compared by time).
+	 * @param {*} a - First value
+	 * @param {*} b - Second value
+	 * @returns {boolean} True if the values are equal
+	 * @private
+	 */
+	valuesEqual(a, b) {
+		if (a instanceof Date && b instanceof Date) {
+			return a.getTime() === b.getTime();
+		}
+		return a === b;
+	}
 
-			// Safety check: if no progress was made, break to avoid infinite loop
-			if (items.length === initialLength) {
-				break;
+	/**
+	 * Sets a value in an object using dot notation, creating intermediate objects as needed.
+	 * @param {Object} obj - Object to modify
+	 * @param {string} key - Property key (supports dot notation, e.g., 'stats.entropy')
+	 * @param {*} value - Value to set
+	 * @private
+	 */
+	setNestedValue(obj, key, value) {
+		const keys = key.split(".");
+		let target = obj;
+		for (const k of keys.slice(0, -1)) {
+			if (target[k] === null || typeof target[k] !== "object") {
+				target[k] = {};
 			}
+			target = target[k];
 		}
-
-		return items.slice(0, 10); // Ensure exactly 10 elements
+		target[keys[keys.length - 1]] = value;
 	}
 
 	/**
-	 * Creates the HTML string for the CSV export button group.
-	 * @returns {string} HTML string for export buttons
+	 * Tracks an edit for getChanges(), keeping each cell's original value.
+	 * Cells edited back to their original value are no longer reported.
+	 * @param {Object} row - Edited row
+	 * @param {string} key - Column key
+	 * @param {*} oldValue - Value before this edit
+	 * @param {*} newValue - Value after this edit
 	 * @private
 	 */
-	createExportCSVButton() {
-		const containerStyle = `display: flex; align-items: center; gap: 4px; border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; border-radius: 4px; padding: 2px; margin: 3px;`;
-		const btnStyle = `border: none; background: none; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; display: flex; align-items: center; gap: 4px;`;
-		const copyBtnStyle = `border: none; background: none; padding: ${_TABLE_CONSTS.SPACING.PADDING_BUTTON}; cursor: pointer; display: flex; align-items: center;`;
-		const separatorStyle = `border-left: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; height: 20px;`;
+	recordChange(row, key, oldValue, newValue) {
+		const rowKey = this.getRowKey(row);
+		let entry = this.changes.get(rowKey);
+		if (!entry) {
+			entry = { row, changes: {} };
+			this.changes.set(rowKey, entry);
+		}
 
-		return `<div class="${this.cssClass("export-container")}" style="${containerStyle}">
-            <button class="${this.cssClass("export-download-btn")}" style="${btnStyle}">
-                ${_TABLE_CONSTS.MESSAGES.EXPORT_CSV} ${_TABLE_CONSTS.ICONS.download}
-            </button>
-            <div style="${separatorStyle}"></div>
-            <button class="${this.cssClass("export-copy-btn")}" style="${copyBtnStyle}" title="${_TABLE_CONSTS.MESSAGES.COPY_TITLE}">
-                ${_TABLE_CONSTS.ICONS.copy}
-            </button>
-        </div>`;
+		const originalValue = entry.changes[key]
+			? entry.changes[key].oldValue
+			: oldValue;
+		if (this.valuesEqual(newValue, originalValue)) {
+			delete entry.changes[key];
+			if (Object.keys(entry.changes).length === 0) {
+				this.changes.delete(rowKey);
+			}
+		} else {
+			entry.changes[key] = { oldValue: originalValue, newValue };
+		}
 	}
 
 	/**
-	 * Creates the HTML string for the page size selector dropdown.
-	 * @returns {string} HTML string for page size selector
-	 * @private
+	 * Gets the rows edited since the data was set or changes were last cleared.
+	 * @returns {Array<RowChanges>} Edited rows with original and current values
 	 */
-	createPageSizeSelector() {
-		const options = this.pageSizeOptions
-			.map(
-				(size) =>
-					`<option value="${size}" ${this.pageSize === size ? "selected" : ""}>${size}</option>`,
-			)
-			.join("");
-
-		const selectStyle = `border: ${_TABLE_CONSTS.SPACING.BORDER_WIDTH} solid ${_TABLE_CONSTS.COLORS.BORDER}; padding: 2px 4px; margin: 0 4px;`;
+	getChanges() {
+		return Array.from(this.changes.values()).map(({ row, changes }) => ({
+			row,
+			changes: { ...changes },
+		}));
+	}
 
-		return `<label class="${this.cssClass("page-size-label")}">Show
-            <select class="${this.cssClass("page-size-select")}" style="${selectStyle}">
-                ${options}
-            </select>
-            entries</label>`;
+	/**
+	 * Forgets tracked edits, e.g. after they have been saved. Does not revert any values.
+	 */
+	clearChanges() {
+		this.changes.clear();
 	}
 
 	/**
-	 * Replaces the table data and re-renders.
-	 * @param {Array<Object>} data - New array of row data objects
+	 * Dispatches a table event on the container element.
+	 * The payload always includes the current view state as `state`.
+	 * @param {string} eventName - Event name (e.g., 'selectionchange')
+	 * @param {Object} [detail={}] - Event payload, available as event.detail
+	 * @param {boolean} [cancelable=false] - Whether handlers may veto the action
+	 * @returns {boolean} False if the event was cancelable and a handler canceled it
+	 * @private
 	 */
-	setData(data) {
-		this.data = data;
-		this.currentPage = 1;
-		this.applyFiltersAndSort();
-		this.validateCurrentPage();
-		this.render();
+	emit(eventName, detail = {}, cancelable = false) {
+		return this.container.dispatchEvent(
+			new CustomEvent(eventName, {
+				detail: { ...detail, state: this.getViewState() },
+				cancelable,
+			}),
+		);
 	}
 
 	/**
-	 * Adds a single row to the table data and re-renders.
-	 * @param {Object} row - Row data object to add
+	 * Registers an event handler. Handlers receive the event payload (including the
+	 * current view state as `state`) and the DOM event, which is dispatched on the container.
+	 * Returning false (or calling event.preventDefault()) vetoes cancelable events:
+	 * - `sort` ({ sort, previousSort }), `filter` ({ columnId, value, previousValue, filters }),
+	 *   `pageChange` ({ page, previousPage }), `pageSizeChange` ({ pageSize, previousPageSize }),
+	 *   and `beforeRender` are cancelable
+	 * - `afterRender` ({ rowCount }), `rowClick` ({ row, index, originalEvent }),
+	 *   `cellClick` ({ row, index, columnId, value, originalEvent }), `selectionchange`,
+	 *   `cellEdit`, `detailtoggle`, and `loaderror` are notifications
+	 * Programmatic state changes (setViewState(), setData()) don't emit sort, filter, or page events.
+	 * @param {string} eventName - Event name
+	 * @param {function(Object, CustomEvent): (boolean|void)} handler - Event handler
+	 * @returns {DataTable} This table, for chaining
 	 */
-	addRow(row) {
-		this.data.push(row);
-		this.applyFiltersAndSort();
-		this.validateCurrentPage();
-		this.render();
+	on(eventName, handler) {
+		const listener = (e) => {
+			if (handler.call(this, e.detail, e) === false) {
+				e.preventDefault();
+			}
+		};
+		this.eventHandlers.push({ eventName, handler, listener });
+		this.container.addEventListener(eventName, listener);
+		return this;
 	}
 
 	/**
-	 * Changes the number of rows displayed per page.
-	 * Resets to the first page after changing.
-	 * @param {number} size - New page size
+	 * Removes event handlers registered with on().
+	 * @param {string} [eventName] - Event name (all events if omitted)
+	 * @param {Function} [handler] - Handler to remove (all handlers for the event if omitted)
+	 * @returns {DataTable} This table, for chaining
 	 */
-	setPageSize(size) {
-		this.pageSize = size;
-		this.currentPage = 1;
-		this.applyFiltersAndSort();
-		this.validateCurrentPage();
-		this.render();
+	off(eventName, handler) {
+		this.eventHandlers = this.eventHandlers.filter((entry) => {
+			const matches =
+				(eventName === undefined || entry.eventName === eventName) &&
+				(handler === undefined || entry.handler === handler);
+			if (matches) {
+				this.container.removeEventListener(
+					entry.eventName,
+					entry.listener,
+				);
+			}
+			return !matches;
+		});
+		return this;
 	}
 
 	/**
 	 * Exports the filtered data to a CSV string.
-	 * Handles escaping of commas, quotes, and newlines.
+	 * Fields containing commas, quotes, or line breaks are quoted (RFC 4180).
+	 * @param {ExportOptions} [options={}] - Export options
 	 * @returns {string} CSV formatted string
 	 */
-	exportCSV() {
-		const csv = [];
+	exportCSV(options = {}) {
+		return this.exportData("csv", options);
+	}
+
+	/**
+	 * Exports rows as text in the given format. Only visible columns are included, in
+	 * display order, and cells hold raw data values (column renderers are not applied).
+	 * JSON and JSONL rows are keyed by column ID; JSONL matches DataFrame.to_jsonl().
+	 * With a dataSource, only the loaded rows can be exported.
+	 * @param {'csv'|'tsv'|'json'|'jsonl'|'markdown'|'latex'} [format='csv'] - Output format
+	 * @param {ExportOptions} [options={}] - Export options
+	 * @returns {string} Exported text
+	 * @throws {Error} If the format or scope is unknown
+	 */
+	exportData(format = _TABLE_CONSTS.EXPORT.DEFAULT_FORMAT, options = {}) {
+		if (!(format in _TABLE_CONSTS.EXPORT.FORMATS)) {
+			throw new Error(`Unknown export format: ${format}`);
+		}
+		const rows = this.getExportRows(
+			options.selectedOnly
+				? "selected"
+				: options.scope || _TABLE_CONSTS.EXPORT.DEFAULT_SCOPE,
+		);
+		const columns = this.getVisibleColumns();
+		const values = rows.map((row) =>
+			columns.map((col) => this.getCellValue(row, col)),
+		);
+		const labels = columns.map((col) => col.label || col.key);
+		const text = (value) => this.formatExportValue(value);
+		// Numbers are right-aligned unless the column sets its own alignment
+		const aligns = columns.map(
+			(col) => col.align || (col.type === "number" ? "right" : "left"),
+		);
 
-		// Headers
-		csv.push(this.columns.map((col) => col.label || col.key).join(","));
+		switch (format) {
+			case "json":
+			case "jsonl": {
+				const objects = values.map((rowValues) =>
+					Object.fromEntries(
+						columns.map((col, i) => [
+							this.getColumnId(col),
+							rowValues[i] === undefined ? null : rowValues[i],
+						]),
+					),
+				);
+				return format === "json"
+					? JSON.stringify(objects, null, 2)
+					: objects
+							.map((object) => JSON.stringify(object))
+							.join("\n");
+			}
 
-		// Data
-		this.filteredData.forEach((row) => {
-			const values = this.columns.map((col) => {
-				const val = row[col.key];
-				if (val === null || val === undefined) return "";
-				let str = String(val);
+			case "csv": {
+				const field = (value) => {
+					const str = text(value);
+					return /[",\r\n]/.test(str)
+						? `"${str.replace(/"/g, '""')}"`
+						: str;
+				};
+				return [labels, ...values]
+					.map((rowValues) => rowValues.map(field).join(","))
+					.join("\n");
+			}
 
-				// Escape newlines in cell content
-				str = str.replace(/\n/g, "\\n");
+			case "tsv": {
+				const escapes = {
+					"\\": "\\\\",
+					"\t": "\\t",
+					"\n": "\\n",
+					"\r": "\\r",
+				};
+				const field = (value) =>
+					text(value).replace(/[\\\t\n\r]/g, (c) => escapes[c]);
+				return [labels, ...values]
+					.map((rowValues) => rowValues.map(field).join("\t"))
+					.join("\n");
+			}
 
-				// Escape if contains comma or quotes
-				if (str.includes(",") || str.includes('"')) {
-					return '"' + str.replace(/"/g, '""') + '"';
-				}
-				return str;
-			});
-			csv.push(values.join(","));
-		});
+			case "markdown": {
+				const field = (value) =>
+					text(value).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+				const line = (cells) => `| ${cells.join(" | ")} |`;
+				const separators = {
+					left: "---",
+					center: ":---:",
+					right: "---:",
+				};
+				return [
+					line(labels.map(field)),
+					line(aligns.map((align) => separators[align] || "---")),
+					...values.map((rowValues) => line(rowValues.map(field))),
+				].join("\n");
+			}
 
-		return csv.join("\n");
+			case "latex": {
+				const specials = {
+					"\\": "\\textbackslash{}",
+					"~": "\\textasciitilde{}",
+					"^": "\\textasciicircum{}",
+				};
+				const field = (value) =>
+					text(value)
+						.replace(
+							/[\\~^&%$#_{}]/g,
+							(c) => specials[c] || `\\${c}`,
+						)
+						.replace(/\r?\n/g, " ");
+				const line = (cells) => `${cells.join(" & ")} \\\\`;
+				return [
+					`\\begin{tabular}{${aligns.map((align) => align[0]).join("")}}`,
+					"\\hline",
+					line(labels.map(field)),
+					"\\hline",
+					...values.map((rowValues) => line(rowValues.map(field))),
+					"\\hline",
+					"\\end{tabular}",
+				].join("\n");
+			}
+		}
 	}
 
 	/**
-	 * Exports the filtered data to CSV and triggers a file download.
+	 * Gets the rows in view as a new DataFrame, in display order, with the visible columns.
+	 * Columns are named by column ID and hold raw values; rows are copies.
+	 * @param {ExportOptions} [options={}] - Rows to include (scope defaults to 'filtered')
+	 * @returns {DataFrame} DataFrame of the view
+	 * @throws {Error} If DataFrame.js is not loaded or the scope is unknown
+	 * @example
+	 * table.getViewAsDataFrame({ scope: 'selected' }).col('loss')
 	 */
-	exportAndDownloadCSV() {
-		const csv = this.exportCSV();
-		const blob = new Blob([csv], { type: "text/csv" });
+	getViewAsDataFrame(options = {}) {
+		if (typeof DataFrame === "undefined") {
+			throw new Error("getViewAsDataFrame requires DataFrame.js");
+		}
+		const {
+			scope = _TABLE_CONSTS.EXPORT.DEFAULT_SCOPE,
+			selectedOnly = false,
+		} = options;
+		const rows = this.getExportRows(selectedOnly ? "selected" : scope);
+		const columns = this.getVisibleColumns();
+		const ids = columns.map((col) => this.getColumnId(col));
+		return new DataFrame(
+			rows.map((row) => {
+				const copy = {};
+				columns.forEach((col, i) => {
+					copy[ids[i]] = this.getCellValue(row, col);
+				});
+				return copy;
+			}),
+			ids,
+		);
+	}
+
+	/**
+	 * Gets the rows covered by an export scope.
+	 * @param {'all'|'filtered'|'page'|'selected'} scope - Export scope
+	 * @returns {Array<Object>} Row data objects
+	 * @throws {Error} If the scope is unknown
+	 * @private
+	 */
+	getExportRows(scope) {
+		switch (scope) {
+			case "all":
+				return this.data;
+			case "filtered":
+				return this.filteredData;
+			case "page":
+				return this.getPageData();
+			case "selected":
+				return this.getSelectedRows();
+			default:
+				throw new Error(`Unknown export scope: ${scope}`);
+		}
+	}
+
+	/**
+	 * Converts a raw value to text for the delimited and table export formats.
+	 * @param {*} value - Cell value
+	 * @returns {string} Text (empty for null/undefined, ISO 8601 for dates, JSON for objects and arrays)
+	 * @private
+	 */
+	formatExportValue(value) {
+		if (value === null || value === undefined) return "";
+		if (value instanceof Date) {
+			return isNaN(value.getTime()) ? "" : value.toISOString();
+		}
+		if (typeof value === "object") {
+			try {
+				return JSON.stringify(value);
+			} catch (e) {
+				return String(value); // e.g. circular structures
+			}
+		}
+		return String(value);
+	}
+
+	/**
+	 * Exports rows and triggers a file download named after the format.
+	 * @param {'csv'|'tsv'|'json'|'jsonl'|'markdown'|'latex'} [format='csv'] - Output format
+	 * @param {ExportOptions} [options={}] - Export options
+	 * @throws {Error} If the format or scope is unknown
+	 */
+	downloadExport(format = _TABLE_CONSTS.EXPORT.DEFAULT_FORMAT, options = {}) {
+		const content = this.exportData(format, options);
+		const { extension, mimeType } = _TABLE_CONSTS.EXPORT.FORMATS[format];
+		const blob = new Blob([content], { type: mimeType });
 		const url = URL.createObjectURL(blob);
 		const a = document.createElement("a");
 		a.href = url;
-		a.download = _TABLE_CONSTS.MESSAGES.DOWNLOAD_FILENAME;
+		a.download = `${_TABLE_CONSTS.MESSAGES.DOWNLOAD_BASENAME}.${extension}`;
 		a.click();
 		URL.revokeObjectURL(url);
 	}
 
+	/**
+	 * Exports the filtered data to CSV and triggers a file download.
+	 */
+	exportAndDownloadCSV() {
+		this.downloadExport("csv");
+	}
+
 	/**
 	 * Copies the filtered data as CSV to the clipboard.
 	 * Shows visual feedback on success.
 	 * @returns {Promise<void>}
 	 */
 	async copyCSVToClipboard() {
-		const csv = this.exportCSV();
+		await this.copyToClipboard(this.exportCSV());
+	}
+
+	/**
+	 * Copies text to the clipboard, showing feedback on the copy button.
+	 * @param {string} text - Text to copy
+	 * @returns {Promise<void>}
+	 */
+	async copyToClipboard(text) {
 		try {
-			await navigator.clipboard.writeText(csv);
+			await navigator.clipboard.writeText(text);
 			// Provide visual feedback
 			const copyBtn = this.paginationBottom.querySelector(
 				`.${this.cssClass("export-copy-btn")}`,
@@ -1483,9 +6760,9 @@ class DataTable {
 				}, _TABLE_CONSTS.FEEDBACK.SUCCESS_TIMEOUT);
 			}
 		} catch (err) {
-			console.error("Failed to copy CSV to clipboard:", err);
+			console.error("Failed to copy to clipboard:", err);
 			// Fallback for older browsers
-			this.fallbackCopyToClipboard(csv);
+			this.fallbackCopyToClipboard(text);
 		}
 	}
 
@@ -1528,15 +6805,17 @@ class DataTable {
 	 * Clears all active filters and resets to the first page.
 	 */
 	clearAllFilters() {
+		if (!this.emitFilterChange(null, "")) return;
 		this.filters = {};
 		this.container
 			.querySelectorAll(`.${this.cssClass("filter-input")}`)
 			.forEach((input) => {
 				input.value = "";
-				input.style.backgroundColor = "";
+				this.setFilterError(input, null);
 			});
 		this.currentPage = 1;
 		this.applyFiltersAndSort();
 		this.render();
+		this.updateFacetFilters();
 	}
 }
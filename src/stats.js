@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Summary statistics shared by DataTable and DataFrame
+ * @module stats
+ * @license GPLv3
+ * @see {@link https://github.com/mivanit/js-dev-toolkit}
+ */
+
+// Numeric values of an array, skipping NaN
+function _statsNumbers(values) {
+	return values.filter((v) => typeof v === "number" && !isNaN(v));
+}
+
+// Sum of numbers; a loop rather than reduce over a spread, for large columns
+function _statsSum(numbers) {
+	let sum = 0;
+	for (const n of numbers) sum += n;
+	return sum;
+}
+
+// Distinctness key: objects (including Dates) compare by their JSON encoding
+function _statsKey(value) {
+	return value !== null && typeof value === "object"
+		? JSON.stringify([value])
+		: value;
+}
+
+/**
+ * Reductions over the non-null values of a column, used by DataTable's
+ * summary footer, info row and group headers and by DataFrame's groupby
+ * and pivot. `sum`, `mean`, `median` and `std` use only the numeric values
+ * and return null when there are none; `std` is the sample standard
+ * deviation (n - 1), as in pandas.
+ *
+ * @type {Object<string, function(Array): *>}
+ * @example
+ * STATS.median([3, 1, 2]) // 2
+ */
+const STATS = {
+	count: (values) => values.length,
+	nunique: (values) => new Set(values.map(_statsKey)).size,
+	sum: (values) => {
+		const numbers = _statsNumbers(values);
+		return numbers.length ? _statsSum(numbers) : null;
+	},
+	mean: (values) => {
+		const numbers = _statsNumbers(values);
+		return numbers.length ? _statsSum(numbers) / numbers.length : null;
+	},
+	median: (values) => {
+		const sorted = _statsNumbers(values).sort((a, b) => a - b);
+		if (!sorted.length) return null;
+		const mid = Math.floor(sorted.length / 2);
+		return sorted.length % 2
+			? sorted[mid]
+			: (sorted[mid - 1] + sorted[mid]) / 2;
+	},
+	std: (values) => {
+		const numbers = _statsNumbers(values);
+		if (numbers.length < 2) return null;
+		const mean = _statsSum(numbers) / numbers.length;
+		let squares = 0;
+		for (const n of numbers) squares += (n - mean) ** 2;
+		return Math.sqrt(squares / (numbers.length - 1));
+	},
+	min: (values) =>
+		values.length ? values.reduce((a, b) => (b < a ? b : a)) : null,
+	max: (values) =>
+		values.length ? values.reduce((a, b) => (b > a ? b : a)) : null,
+	first: (values) => (values.length ? values[0] : null),
+	last: (values) => (values.length ? values[values.length - 1] : null),
+};